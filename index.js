@@ -0,0 +1,29 @@
+const { convert, formatProblems, getOutputPaths, prepareDocument, renderDocument, renderHtml } = require('./lib/converter');
+const ConfigManager = require('./lib/config');
+const ThemeEngine = require('./lib/theme');
+const TocGenerator = require('./lib/toc');
+const CoverPageRenderer = require('./lib/cover');
+const MermaidRenderer = require('./lib/mermaid');
+const CodeHighlighter = require('./lib/highlight');
+const StylesheetLoader = require('./lib/styles');
+const PreviewServer = require('./lib/preview');
+const { launchBrowser, BrowserSession } = require('./lib/browser');
+
+module.exports = {
+  convert,
+  formatProblems,
+  getOutputPaths,
+  prepareDocument,
+  renderDocument,
+  renderHtml,
+  launchBrowser,
+  BrowserSession,
+  ConfigManager,
+  ThemeEngine,
+  TocGenerator,
+  CoverPageRenderer,
+  MermaidRenderer,
+  CodeHighlighter,
+  StylesheetLoader,
+  PreviewServer
+};
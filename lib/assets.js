@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { isExternalUrl, safeDecode, toDataUri } = require('./utils');
+
+// The page is loaded from an HTML string with no base URL, so every local
+// reference is resolved against the Markdown file's directory up front
+class AssetResolver {
+  constructor(config, basePath = process.cwd(), logger = console) {
+    this.config = config;
+    this.basePath = basePath;
+    this.logger = logger;
+    this.missing = [];
+    // Local images the document refers to, found or not, for watch mode
+    this.files = new Set();
+  }
+
+  // Split "img/a%20b.png#frag" into an absolute file path and its suffix
+  resolvePath(reference) {
+    const [, filePart, suffix] = reference.match(/^([^?#]*)(.*)$/);
+    return { filePath: path.resolve(this.basePath, safeDecode(filePart)), suffix };
+  }
+
+  // Local images become data URIs; images over the size limit are linked
+  // by file URL instead
+  resolveImage(src) {
+    if (!src || isExternalUrl(src)) return src;
+
+    const { filePath } = this.resolvePath(src);
+    this.files.add(filePath);
+    if (!isFile(filePath)) {
+      this.recordMissing('image', src, filePath);
+      return src;
+    }
+
+    const { embedImages, maxEmbedSize } = this.config.assets;
+    const { size } = fs.statSync(filePath);
+
+    if (embedImages && size <= maxEmbedSize) {
+      return toDataUri(filePath);
+    }
+
+    if (embedImages) {
+      this.logger.warn(`Warning: Image ${src} (${size} bytes) exceeds assets.maxEmbedSize and is linked instead of embedded`);
+    }
+    return pathToFileURL(filePath).href;
+  }
+
+  // Links to local files become absolute file URLs; in-page anchors are
+  // left for the TOC and outline
+  resolveLink(href) {
+    if (!href || href.startsWith('#') || isExternalUrl(href)) return href;
+
+    const { filePath, suffix } = this.resolvePath(href);
+    if (!fs.existsSync(filePath)) {
+      this.recordMissing('link', href, filePath);
+    }
+
+    return pathToFileURL(filePath).href + suffix;
+  }
+
+  // Raw HTML in the Markdown may contain its own <img> tags
+  resolveHtml(html) {
+    return html.replace(/(<img\b[^>]*?\ssrc\s*=\s*)(["'])(.*?)\2/gi, (match, prefix, quote, src) => {
+      return `${prefix}${quote}${this.resolveImage(src)}${quote}`;
+    });
+  }
+
+  recordMissing(type, reference, filePath) {
+    if (!this.missing.some(asset => asset.filePath === filePath)) {
+      this.missing.push({ type, reference, filePath });
+    }
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = AssetResolver;
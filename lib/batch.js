@@ -0,0 +1,112 @@
+const path = require('path');
+const { getOutputPaths } = require('./converter');
+
+const DEFAULT_OUTPUT_NAME = '{{dir}}/{{name}}.{{ext}}';
+
+// The directory part of a glob before its first wildcard segment, e.g.
+// "docs/**/*.md" -> "docs"; used as the default source root
+function getGlobBase(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (/[*?[\]{}()!]/.test(segment)) break;
+    base.push(segment);
+  }
+  if (base.length === 1 && base[0] === '') return path.sep;
+  return base.length > 0 ? base.join('/') : '.';
+}
+
+// Placeholders: {{dir}} (the file's directory relative to the source root),
+// {{name}} (file name without extension), {{ext}} (pdf or html) and
+// {{date}} (YYYY-MM-DD)
+function formatOutputName(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      throw new Error(`Unknown placeholder ${match} in output name "${template}". Use {{dir}}, {{name}}, {{ext}} or {{date}}.`);
+    }
+    return values[key];
+  });
+}
+
+/**
+ * Decide where each file of a batch is written. Files keep their directory
+ * structure below the source root, placed under batch.outDir (or next to
+ * the sources without one) and named by batch.outputName.
+ *
+ * @param {string} file - Markdown file matched by the batch pattern
+ * @param {object} options
+ * @param {string} options.pattern - The batch glob, whose base is the default root
+ * @param {object} options.config - Unresolved config; batch and output.format are used
+ * @param {string} [options.format] - The document's output format, when its front
+ *   matter overrides output.format
+ * @param {string} [options.output] - Single output path (-o), used as is
+ * @param {Date} [options.date] - Date for {{date}}; defaults to now
+ * @returns {string} Output path
+ */
+function getBatchOutputPath(file, { pattern, config, format = config.output.format, output, date = new Date() }) {
+  if (output) return output;
+
+  const { outDir, sourceRoot, outputName } = config.batch || {};
+  const root = path.resolve(sourceRoot || getGlobBase(pattern));
+  const dir = path.relative(root, path.dirname(path.resolve(file)));
+  if (dir.startsWith('..') || path.isAbsolute(dir)) {
+    throw new Error(`${file} is outside the source root ${root}. Set batch.sourceRoot or --source-root to a directory that contains every file.`);
+  }
+
+  const name = formatOutputName(outputName || DEFAULT_OUTPUT_NAME, {
+    dir: dir || '.',
+    name: path.basename(file, path.extname(file)),
+    ext: format === 'html' ? 'html' : 'pdf',
+    date: formatDate(date)
+  });
+
+  // Relative to the working directory for display, unless that climbs out of it
+  const outputPath = path.resolve(outDir || root, name);
+  const relativePath = path.relative(process.cwd(), outputPath);
+  return relativePath.startsWith('..') ? outputPath : relativePath;
+}
+
+// Throws code OUTPUT_COLLISION when two documents would write the same
+// file, or a document would be written over any of the inputs. Documents
+// are { input, output, format } and the paths written depend on the output
+// format; format is used for documents without one.
+function assertNoCollisions(documents, format) {
+  // Inputs are taken up front, so no output can land on a source file
+  const writers = new Map(documents.map(document => [path.resolve(document.input), { input: document.input, source: true }]));
+  const collisions = [];
+
+  for (const document of documents) {
+    const files = Object.values(getOutputPaths(document.output, document.format || format));
+    // With format "both" the PDF and HTML collide together; report once
+    const clash = files.find(file => writers.has(path.resolve(file)));
+    if (clash) {
+      const writer = writers.get(path.resolve(clash));
+      collisions.push(writer.source
+        ? `${document.input} would be written over the source file ${writer.input}`
+        : `${writer.input} and ${document.input} would both be written to ${clash}`);
+      continue;
+    }
+    for (const file of files) {
+      writers.set(path.resolve(file), { input: document.input, source: false });
+    }
+  }
+
+  if (collisions.length > 0) {
+    const error = new Error(`Output files collide:\n  - ${collisions.join('\n  - ')}\nEach file needs its own output, apart from the sources: use --out-dir instead of -o, and an output name with {{dir}} and {{name}}.`);
+    error.code = 'OUTPUT_COLLISION';
+    error.collisions = collisions;
+    throw error;
+  }
+}
+
+function formatDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+  getGlobBase,
+  formatOutputName,
+  getBatchOutputPath,
+  assertNoCollisions
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { Marked, Renderer } = require('marked');
+const TocGenerator = require('./toc');
+const { parseFrontMatter } = require('./front-matter');
+const { isExternalUrl, safeDecode } = require('./utils');
+
+// Marker ids are namespaced so they do not clash with heading slugs such
+// as "chapter-1" from "# Chapter 1"
+const CHAPTER_MARKER = /^<div class="chapter-start[^"]*" id="md2pdf-chapter-(\d+)"/;
+
+// Headings of a SUMMARY.md that name the list rather than the book
+const LIST_HEADING = /^(?:summary|table of contents|contents)$/i;
+
+// Read a book manifest: a SUMMARY.md with a linked chapter list, or a JSON
+// or YAML file with { "title": "...", "chapters": ["intro.md", ...] }
+function loadBookManifest(manifestPath) {
+  const resolvedPath = path.resolve(manifestPath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Book manifest not found: ${resolvedPath}`);
+  }
+
+  const baseDir = path.dirname(resolvedPath);
+  const source = fs.readFileSync(resolvedPath, 'utf8');
+  let title = '';
+  let files;
+
+  if (/\.(md|markdown)$/i.test(resolvedPath)) {
+    const heading = source.match(/^#\s+(.+)$/m);
+    title = heading && !LIST_HEADING.test(heading[1].trim()) ? heading[1].trim() : '';
+    files = Array.from(source.matchAll(/^\s*[-*+]\s+\[[^\]]*\]\(\s*([^)\s]+)[^)]*\)/gm), match => match[1]);
+  } else {
+    let data;
+    try {
+      data = /\.json$/i.test(resolvedPath) ? JSON.parse(source) : yaml.load(source);
+    } catch (error) {
+      throw new Error(`Invalid book manifest ${resolvedPath}: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.chapters)) {
+      throw new Error(`Invalid book manifest ${resolvedPath}: expected a "chapters" list`);
+    }
+    title = data.title || '';
+    files = data.chapters.map(chapter => (typeof chapter === 'string' ? chapter : chapter && chapter.file));
+  }
+
+  const chapters = [];
+  for (const file of files) {
+    if (!file || isExternalUrl(file)) continue;
+
+    const filePath = path.resolve(baseDir, safeDecode(file.replace(/#.*$/, '')));
+    if (chapters.some(chapter => chapter.filePath === filePath)) continue;
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Chapter not found: ${filePath} (listed in ${resolvedPath})`);
+    }
+    chapters.push({ filePath });
+  }
+
+  if (chapters.length === 0) {
+    throw new Error(`No chapters listed in ${resolvedPath}`);
+  }
+
+  return { title, manifestPath: resolvedPath, chapters };
+}
+
+// Concatenate the chapters into one Markdown document. Each chapter starts
+// with a marker element that renderHtml uses to switch the directory that
+// links and images resolve against. Heading ids are de-duplicated across
+// the whole book, so every chapter keeps a map from its own ids to the
+// book-wide ones for rewriting links.
+function assembleBook(manifest) {
+  const bookIds = new TocGenerator({ toc: {} });
+  let markdown = '';
+  let title = manifest.title;
+
+  const chapters = manifest.chapters.map(({ filePath }, index) => {
+    const number = index + 1;
+    const { data, content, lineOffset } = parseFrontMatter(fs.readFileSync(filePath, 'utf8'), filePath);
+
+    const chapterIds = new TocGenerator({ toc: {} });
+    const ids = new Map();
+    const headings = collectHeadings(content);
+    for (const heading of headings) {
+      ids.set(chapterIds.slugify(heading.raw), bookIds.slugify(heading.raw));
+    }
+
+    // Without a manifest title the book is named after its first chapter
+    if (!title && number === 1) {
+      const firstH1 = headings.find(heading => heading.level === 1);
+      title = data.title ? String(data.title) : (firstH1 ? firstH1.raw : '');
+    }
+
+    // The first chapter follows the cover and TOC, which break on their own
+    const breakClass = number > 1 ? ' page-break' : '';
+    markdown += `<div class="chapter-start${breakClass}" id="md2pdf-chapter-${number}" data-chapter="${number}"></div>\n\n`;
+    const startLine = markdown.split('\n').length;
+    markdown += `${content}\n\n`;
+
+    return {
+      number,
+      filePath,
+      baseDir: path.dirname(filePath),
+      anchor: `md2pdf-chapter-${number}`,
+      ids,
+      startLine,
+      lineOffset
+    };
+  });
+
+  return { title, manifestPath: manifest.manifestPath, markdown, chapters };
+}
+
+function collectHeadings(markdown) {
+  const headings = [];
+  const renderer = new Renderer();
+  renderer.heading = (text, level, raw) => {
+    headings.push({ raw, level });
+    return '';
+  };
+
+  new Marked().setOptions({ renderer, breaks: true, gfm: true }).parse(markdown);
+  return headings;
+}
+
+// The chapter whose marker starts this raw HTML block, if any
+function matchChapterMarker(book, html) {
+  const match = html.match(CHAPTER_MARKER);
+  return match ? book.chapters[Number(match[1]) - 1] || null : null;
+}
+
+// Rewrite links to other chapters, and anchors within a chapter, to the
+// ids used in the assembled book. Returns null for links to anything else.
+function resolveBookLink(book, chapter, href) {
+  if (!href || !chapter || isExternalUrl(href)) return null;
+
+  const hashIndex = href.indexOf('#');
+  const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : safeDecode(href.slice(hashIndex + 1));
+
+  let targetChapter = chapter;
+  if (target) {
+    const filePath = path.resolve(chapter.baseDir, safeDecode(target.replace(/\?.*$/, '')));
+    targetChapter = book.chapters.find(candidate => candidate.filePath === filePath);
+    if (!targetChapter) return null;
+  }
+
+  if (!fragment) {
+    return `#${targetChapter.anchor}`;
+  }
+  return `#${encodeURIComponent(targetChapter.ids.get(fragment) || fragment)}`;
+}
+
+// Map a line of the assembled Markdown back to its chapter file
+function locateBookLine(book, line) {
+  if (!line) return { file: book.manifestPath, line: null };
+
+  const chapter = [...book.chapters].reverse().find(candidate => candidate.startLine <= line);
+  if (!chapter) return { file: book.manifestPath, line: null };
+
+  return { file: chapter.filePath, line: line - chapter.startLine + 1 + chapter.lineOffset };
+}
+
+module.exports = {
+  loadBookManifest,
+  assembleBook,
+  matchChapterMarker,
+  resolveBookLink,
+  locateBookLine
+};
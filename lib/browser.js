@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+
+// Browser detection for cross-platform support
+const BROWSER_PATHS = {
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser'
+  ],
+  win32: [
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
+    'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe'
+  ],
+  linux: [
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/microsoft-edge'
+  ]
+};
+
+function findAvailableBrowser() {
+  const paths = BROWSER_PATHS[process.platform] || BROWSER_PATHS.linux;
+  return paths.find(browserPath => fs.existsSync(browserPath)) || null;
+}
+
+// Launch a system browser if one is installed, otherwise Puppeteer's Chromium.
+// Launch failures carry code BROWSER_LAUNCH_FAILED so callers can show help.
+async function launchBrowser(logger = console) {
+  const detectedBrowser = findAvailableBrowser();
+  const launchOptions = {
+    headless: "new",
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-web-security"
+    ]
+  };
+
+  // Use detected browser if found, otherwise let Puppeteer use bundled Chromium
+  if (detectedBrowser) {
+    logger.log(`Found browser: ${path.basename(detectedBrowser)}`);
+    launchOptions.executablePath = detectedBrowser;
+  }
+
+  try {
+    return await puppeteer.launch(launchOptions);
+  } catch (error) {
+    const launchError = new Error(`Failed to launch browser: ${error.message}`);
+    launchError.code = 'BROWSER_LAUNCH_FAILED';
+    launchError.cause = error;
+    throw launchError;
+  }
+}
+
+// One browser shared by every conversion in a batch or watch session. The
+// browser is launched on first use and relaunched if it crashes.
+class BrowserSession {
+  constructor(logger = console) {
+    this.logger = logger;
+    this.browserPromise = null;
+  }
+
+  getBrowser() {
+    if (!this.browserPromise) {
+      this.browserPromise = launchBrowser(this.logger).then(
+        browser => {
+          browser.on('disconnected', () => {
+            this.browserPromise = null;
+          });
+          return browser;
+        },
+        error => {
+          this.browserPromise = null;
+          throw error;
+        }
+      );
+    }
+
+    return this.browserPromise;
+  }
+
+  async close() {
+    const browserPromise = this.browserPromise;
+    this.browserPromise = null;
+    if (!browserPromise) return;
+
+    try {
+      const browser = await browserPromise;
+      await browser.close();
+    } catch (error) {
+      // Launch failures were already reported to whoever requested the browser
+    }
+  }
+}
+
+module.exports = {
+  findAvailableBrowser,
+  launchBrowser,
+  BrowserSession
+};
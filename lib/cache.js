@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const CACHE_FILE = '.md2pdf-cache.json';
+
+// Remembers what each output was built from, so batch runs can skip
+// documents that have not changed. Entries are keyed by output path and
+// hold a hash of the config passed to convert() plus a content hash of
+// every file the document read: its source, theme files, stylesheets and
+// images. Front matter is part of the source, so it is covered too.
+class BuildCache {
+  constructor(cachePath = path.join(process.cwd(), CACHE_FILE)) {
+    this.cachePath = cachePath;
+    this.entries = this.load();
+  }
+
+  // A cache from another md2pdf version is discarded, since the same
+  // inputs may now produce different output
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      return data.version === version && data.entries ? data.entries : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  save() {
+    fs.writeFileSync(this.cachePath, `${JSON.stringify({ version, entries: this.entries }, null, 2)}\n`);
+  }
+
+  // outputFiles are the files the build writes; all of them must still exist
+  isUpToDate(output, configHash, outputFiles) {
+    const entry = this.entries[path.resolve(output)];
+    if (!entry || entry.config !== configHash) return false;
+    if (!outputFiles.every(file => fs.existsSync(file))) return false;
+
+    return Object.entries(entry.files).every(([file, hash]) => hashFile(file) === hash);
+  }
+
+  // The files the output was built from, as recorded
+  getFiles(output) {
+    const entry = this.entries[path.resolve(output)];
+    return entry ? Object.keys(entry.files) : [];
+  }
+
+  record(output, configHash, fileHashes) {
+    this.entries[path.resolve(output)] = { config: configHash, files: fileHashes };
+  }
+
+  remove(output) {
+    delete this.entries[path.resolve(output)];
+  }
+
+  static hashConfig(config) {
+    return hash(JSON.stringify(config));
+  }
+
+  // Files that do not exist are recorded too, so creating one (such as a
+  // missing image) counts as a change
+  static hashFiles(files) {
+    return Object.fromEntries(files.map(file => [file, hashFile(file)]));
+  }
+}
+
+function hashFile(file) {
+  try {
+    return hash(fs.readFileSync(file));
+  } catch (error) {
+    return null;
+  }
+}
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = BuildCache;
@@ -1,11 +1,39 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { validate } = require('./schema');
+const CoverPageRenderer = require('./cover');
+
+// Command line options that map onto config settings, keyed by the
+// commander option name
+const CLI_OPTIONS = {
+  theme: { flag: '--theme', toConfig: value => ({ theme: { name: value } }) },
+  title: { flag: '--title', toConfig: value => ({ document: { title: value } }) },
+  author: { flag: '--author', toConfig: value => ({ document: { author: value } }) },
+  pageNumbers: { flag: '--page-numbers', toConfig: () => ({ footer: { enabled: true } }) },
+  toc: { flag: '--toc', toConfig: () => ({ toc: { enabled: true } }) },
+  coverPage: { flag: '--cover-page', toConfig: () => ({ coverPage: { enabled: true } }) },
+  paginated: { flag: '--paginated', toConfig: () => ({ page: { mode: 'paginated' } }) },
+  format: { flag: '--format', toConfig: value => ({ output: { format: value } }) },
+  strict: { flag: '--strict', toConfig: () => ({ strict: true }) },
+  exportDiagrams: { flag: '--export-diagrams', toConfig: value => ({ mermaid: { export: { dir: value } } }) },
+  concurrency: { flag: '--concurrency', toConfig: value => ({ batch: { concurrency: parseInt(value, 10) } }) },
+  outDir: { flag: '--out-dir', toConfig: value => ({ batch: { outDir: value } }) },
+  sourceRoot: { flag: '--source-root', toConfig: value => ({ batch: { sourceRoot: value } }) },
+  outputName: { flag: '--output-name', toConfig: value => ({ batch: { outputName: value } }) }
+};
 
 class ConfigManager {
-  constructor() {
+  constructor(logger = console) {
+    this.logger = logger;
     this.defaultConfig = null;
     this.themes = new Map();
+    this.themeFiles = new Map();
+    // One layer per theme directory, lowest first: built-in, user, project.
+    // A theme can extend the one of the same name that it replaces.
+    this.themeLayers = [];
+    // Theme files read by resolveTheme, including the ones they extend
+    this.usedThemeFiles = new Set();
     this.loadDefaults();
   }
 
@@ -13,31 +41,68 @@ class ConfigManager {
     // Load default configuration
     const defaultPath = path.join(__dirname, '../config/default.json');
     this.defaultConfig = this.loadJSON(defaultPath);
+    this.schema = this.loadJSON(path.join(__dirname, '../config/schema.json'));
 
-    // Load all themes
-    const themesDir = path.join(__dirname, '../config/themes');
-    if (fs.existsSync(themesDir)) {
-      const themeFiles = fs.readdirSync(themesDir).filter(f => f.endsWith('.json'));
-      for (const themeFile of themeFiles) {
-        const themePath = path.join(themesDir, themeFile);
-        const theme = this.loadJSON(themePath);
-        if (theme) {
-          this.themes.set(theme.name, theme);
-        }
-      }
+    // Load themes: built-in, then user and project themes, which can
+    // replace a built-in theme by reusing its name
+    this.loadThemeDirectory(path.join(__dirname, '../config/themes'));
+    this.loadThemeDirectory(path.join(os.homedir(), '.md2pdf', 'themes'));
+    this.loadThemeDirectory(path.join(process.cwd(), 'themes'));
+  }
+
+  loadThemeDirectory(themesDir) {
+    if (!fs.existsSync(themesDir)) {
+      return;
+    }
+
+    const layer = new Map();
+    this.themeLayers.push(layer);
+    const themeFiles = fs.readdirSync(themesDir).filter(f => f.endsWith('.json'));
+    for (const themeFile of themeFiles) {
+      this.loadThemeFile(path.join(themesDir, themeFile), layer);
     }
   }
 
+  // Themes without a name are registered under their file name
+  loadThemeFile(themePath, layer) {
+    let theme;
+    try {
+      theme = this.loadJSON(themePath);
+    } catch (error) {
+      this.logger.warn(`Warning: ${error.message}`);
+      return null;
+    }
+    if (!theme) {
+      return null;
+    }
+
+    const name = theme.name || path.basename(themePath, '.json');
+    this.themes.set(name, { ...theme, name });
+    this.themeFiles.set(name, themePath);
+    layer.set(name, { theme: this.themes.get(name), file: themePath });
+    return this.themes.get(name);
+  }
+
+  // A theme can be given by name or as a path to a theme file
+  isThemePath(name) {
+    return name.endsWith('.json') || name.includes('/') || name.includes(path.sep);
+  }
+
+  // Missing files return null; unreadable or malformed files are errors
   loadJSON(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
     try {
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(content);
-      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch (error) {
-      console.warn(`Warning: Could not load config from ${filePath}: ${error.message}`);
+      // Reported like a config that fails validation, without a stack trace
+      const loadError = new Error(`Could not load config from ${filePath}: ${error.message}`);
+      loadError.code = 'INVALID_CONFIG';
+      loadError.file = filePath;
+      throw loadError;
     }
-    return null;
   }
 
   // Get configuration from multiple sources with precedence:
@@ -46,50 +111,248 @@ class ConfigManager {
   // 3. User config file (~/.md2pdf/config.json)
   // 4. Default config (lowest priority)
   getConfig(cliOptions = {}) {
+    return this.createConfig(this.loadConfig(cliOptions));
+  }
+
+  // Merge the config layers without applying the theme or resolving
+  // {{variables}}, so per-document front matter can still be layered on top
+  loadConfig(cliOptions = {}) {
+    return this.mergeLayers(this.getConfigLayers(cliOptions));
+  }
+
+  // Later layers win. Layers marked `append` extend arrays instead of
+  // replacing them; onLayer sees each layer as it was applied.
+  mergeLayers(layers, onLayer = () => {}) {
     let config = { ...this.defaultConfig };
 
+    for (const layer of layers) {
+      this.assertValidConfig(layer.config, layer.source);
+
+      let layerConfig = layer.config;
+      if (layer.append) {
+        layerConfig = {};
+        for (const [key, value] of Object.entries(layer.config)) {
+          layerConfig[key] = [...(config[key] || []), ...value];
+        }
+      }
+
+      config = this.mergeConfig(config, layerConfig);
+      onLayer(layer, layerConfig);
+    }
+
+    return config;
+  }
+
+  // The config files getConfigLayers reads, whether or not they exist yet
+  getConfigFiles(cliOptions = {}) {
+    const files = [
+      path.join(os.homedir(), '.md2pdf', 'config.json'),
+      path.join(process.cwd(), 'md2pdf.config.json')
+    ];
+    if (cliOptions.config) {
+      files.push(path.resolve(cliOptions.config));
+    }
+    return files;
+  }
+
+  // The config sources above the defaults, lowest precedence first
+  getConfigLayers(cliOptions = {}) {
+    const layers = [];
+    const [userConfigPath, projectConfigPath] = this.getConfigFiles();
+
     // Load user config
-    const userConfigPath = path.join(os.homedir(), '.md2pdf', 'config.json');
     const userConfig = this.loadJSON(userConfigPath);
     if (userConfig) {
-      config = this.mergeConfig(config, userConfig);
+      layers.push({ source: userConfigPath, config: this.resolveFilePaths(userConfig, userConfigPath) });
     }
 
     // Load project config
-    const projectConfigPath = path.join(process.cwd(), 'md2pdf.config.json');
     const projectConfig = this.loadJSON(projectConfigPath);
     if (projectConfig) {
-      config = this.mergeConfig(config, projectConfig);
+      layers.push({ source: projectConfigPath, config: this.resolveFilePaths(projectConfig, projectConfigPath) });
     }
 
     // Load specified config file
     if (cliOptions.config) {
       const specifiedConfig = this.loadJSON(cliOptions.config);
-      if (specifiedConfig) {
-        config = this.mergeConfig(config, specifiedConfig);
+      if (!specifiedConfig) {
+        throw new Error(`Config file not found: ${path.resolve(cliOptions.config)}`);
       }
+      layers.push({ source: path.resolve(cliOptions.config), config: this.resolveFilePaths(specifiedConfig, cliOptions.config) });
     }
 
-    // Apply theme if specified
-    if (cliOptions.theme || config.theme?.name) {
-      const themeName = cliOptions.theme || config.theme.name;
-      const theme = this.themes.get(themeName);
-      if (theme) {
-        config.theme = this.mergeConfig(config.theme, theme);
-      } else {
-        console.warn(`Warning: Theme '${themeName}' not found. Using default theme.`);
+    // Override with CLI options, one layer per flag
+    layers.push(...this.cliToLayers(cliOptions));
+
+    // --css adds to the configured stylesheets rather than replacing them
+    if (cliOptions.css && cliOptions.css.length > 0) {
+      layers.push({ source: '--css', config: { styles: cliOptions.css }, append: true });
+    }
+
+    return layers;
+  }
+
+  // Cover logo and template paths in a config file are relative to that file
+  resolveFilePaths(config, filePath) {
+    if (!config.coverPage || typeof config.coverPage !== 'object') {
+      return config;
+    }
+    const baseDir = path.dirname(path.resolve(filePath));
+    return { ...config, coverPage: CoverPageRenderer.resolvePaths(config.coverPage, baseDir) };
+  }
+
+  // The resolved config together with the source of every setting: the
+  // defaults, a config file, a CLI flag, the theme, or an extra layer such
+  // as a document's front matter
+  explainConfig(cliOptions = {}, extraLayers = []) {
+    const sources = new Map();
+    const record = (config, source, prefix = '') => {
+      for (const [key, value] of Object.entries(config)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+          record(value, source, keyPath);
+        } else {
+          sources.set(keyPath, source);
+        }
+      }
+    };
+
+    record(this.defaultConfig, 'defaults');
+    const merged = this.mergeLayers([...this.getConfigLayers(cliOptions), ...extraLayers], (layer, layerConfig) => {
+      if (!layer.append) {
+        record(layerConfig, layer.source);
+        return;
+      }
+      for (const key of Object.keys(layerConfig)) {
+        const previous = sources.get(key);
+        sources.set(key, previous && previous !== 'defaults' ? `${previous} + ${layer.source}` : layer.source);
       }
+    });
+
+    // Theme files override the theme block, except for the name that chose them
+    const themeName = merged.theme?.name;
+    const theme = themeName ? this.resolveTheme(themeName) : null;
+    if (theme) {
+      const { name, ...themeSettings } = theme;
+      const themeFile = this.themeFiles.get(themeName) || (this.isThemePath(themeName) ? path.resolve(themeName) : null);
+      record({ theme: themeSettings }, themeFile ? `theme ${themeName} (${themeFile})` : `theme ${themeName}`);
     }
 
-    // Override with CLI options
-    config = this.mergeConfig(config, this.cliToConfig(cliOptions));
+    return { config: this.createConfig(merged), sources };
+  }
+
+  // Check a config object (or a partial layer) against config/schema.json
+  validateConfig(config) {
+    return this.schema ? validate(config, this.schema) : [];
+  }
+
+  assertValidConfig(config, source) {
+    const errors = this.validateConfig(config);
+    if (errors.length === 0) {
+      return;
+    }
+
+    const details = errors.map(error => `  - ${error.path}: ${error.message}`).join('\n');
+    const error = new Error(`Invalid configuration${source ? ` in ${source}` : ''}:\n${details}`);
+    error.code = 'INVALID_CONFIG';
+    error.errors = errors;
+    throw error;
+  }
+
+  // Apply the theme and resolve template variables on top of the defaults.
+  // The Node API calls this directly, so no config files are read here.
+  createConfig(overrides = {}) {
+    let config = this.mergeConfig(this.defaultConfig, overrides);
+    this.assertValidConfig(config);
+
+    // Apply theme if specified
+    config = this.applyTheme(config, config.theme?.name);
 
     // Resolve template variables
-    config = this.resolveVariables(config);
+    return this.resolveVariables(config);
+  }
 
+  applyTheme(config, themeName) {
+    if (!themeName) {
+      return config;
+    }
+
+    const theme = this.resolveTheme(themeName);
+    if (theme) {
+      return { ...config, theme: this.mergeConfig(config.theme, theme) };
+    }
+
+    if (themeName !== 'default') {
+      this.logger.warn(`Warning: Theme '${themeName}' not found. Using default theme.`);
+    }
     return config;
   }
 
+  // Look up a theme by name or path and fold in the themes it extends.
+  // Relative paths resolve against the extending theme's directory. A
+  // named theme that extends its own name, such as a project "github"
+  // tweaking the built-in one, extends the theme it replaces; belowLayer
+  // limits the lookup to the theme layers under that one.
+  resolveTheme(themeName, baseDir = process.cwd(), chain = [], belowLayer = Infinity) {
+    let theme;
+    let themeKey = themeName;
+    let themeDir = baseDir;
+    let layerIndex = -1;
+
+    if (this.isThemePath(themeName)) {
+      const themePath = path.resolve(baseDir, themeName);
+      if (!fs.existsSync(themePath)) {
+        return null;
+      }
+      theme = this.loadJSON(themePath);
+      this.usedThemeFiles.add(themePath);
+      themeKey = themePath;
+      themeDir = path.dirname(themePath);
+    } else {
+      layerIndex = this.findThemeLayer(themeName, belowLayer);
+      if (layerIndex !== -1) {
+        const { theme: layerTheme, file } = this.themeLayers[layerIndex].get(themeName);
+        theme = layerTheme;
+        themeKey = file;
+        themeDir = path.dirname(file);
+        this.usedThemeFiles.add(file);
+      }
+    }
+
+    if (!theme) {
+      return null;
+    }
+
+    if (chain.includes(themeKey)) {
+      throw new Error(`Theme inheritance loop: ${[...chain, themeKey].join(' -> ')}`);
+    }
+
+    // A theme without a name is named after its file or id, so it never
+    // takes the name of the theme it extends
+    const { extends: parentName, ...ownTheme } = theme;
+    ownTheme.name = theme.name || (this.isThemePath(themeName) ? path.basename(themeName, '.json') : themeName);
+    if (!parentName) {
+      return ownTheme;
+    }
+
+    const extendsReplaced = layerIndex !== -1 && parentName === themeName;
+    const parent = this.resolveTheme(parentName, themeDir, [...chain, themeKey], extendsReplaced ? layerIndex : Infinity);
+    if (!parent) {
+      this.logger.warn(`Warning: Theme '${parentName}' extended by '${theme.name || themeName}' not found.`);
+      return ownTheme;
+    }
+
+    return this.mergeConfig(parent, ownTheme);
+  }
+
+  // Index of the highest theme layer below belowLayer that has the theme
+  findThemeLayer(themeName, belowLayer = Infinity) {
+    for (let index = Math.min(belowLayer, this.themeLayers.length) - 1; index >= 0; index--) {
+      if (this.themeLayers[index].has(themeName)) return index;
+    }
+    return -1;
+  }
+
   mergeConfig(base, override) {
     const result = { ...base };
     
@@ -105,19 +368,13 @@ class ConfigManager {
   }
 
   cliToConfig(cliOptions) {
-    const config = {};
-
-    // Map CLI options to config structure
-    if (cliOptions.input) config.input = cliOptions.input;
-    if (cliOptions.output) config.output = cliOptions.output;
-    if (cliOptions.theme) config.theme = { name: cliOptions.theme };
-    if (cliOptions.title) config.document = { ...config.document, title: cliOptions.title };
-    if (cliOptions.author) config.document = { ...config.document, author: cliOptions.author };
-    if (cliOptions.pageNumbers) config.footer = { ...config.footer, enabled: true };
-    if (cliOptions.toc) config.toc = { ...config.toc, enabled: true };
-    if (cliOptions.coverPage) config.coverPage = { ...config.coverPage, enabled: true };
+    return this.cliToLayers(cliOptions).reduce((config, layer) => this.mergeConfig(config, layer.config), {});
+  }
 
-    return config;
+  cliToLayers(cliOptions) {
+    return Object.entries(CLI_OPTIONS)
+      .filter(([option]) => cliOptions[option])
+      .map(([option, { flag, toConfig }]) => ({ source: flag, config: toConfig(cliOptions[option]) }));
   }
 
   resolveVariables(config) {
@@ -127,6 +384,7 @@ class ConfigManager {
       year: new Date().getFullYear(),
       pageNumber: '{{pageNumber}}', // Will be resolved by PDF generator
       totalPages: '{{totalPages}}', // Will be resolved by PDF generator
+      sectionTitle: '{{sectionTitle}}', // Current H1, resolved per page in paginated output
       document: config.document || {}
     };
 
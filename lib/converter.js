@@ -0,0 +1,1059 @@
+const fs = require('fs');
+const path = require('path');
+const { Marked, Renderer } = require('marked');
+const ConfigManager = require('./config');
+const ThemeEngine = require('./theme');
+const TocGenerator = require('./toc');
+const CoverPageRenderer = require('./cover');
+const MermaidRenderer = require('./mermaid');
+const CodeHighlighter = require('./highlight');
+const AssetResolver = require('./assets');
+const StylesheetLoader = require('./styles');
+const { loadBookManifest, assembleBook, matchChapterMarker, resolveBookLink, locateBookLine } = require('./book');
+const { launchBrowser } = require('./browser');
+const { getNamedDestinations, applyMetadata, addOutline, mergePdfs } = require('./pdf');
+const { parseFrontMatter, frontMatterToConfig } = require('./front-matter');
+const { escapeHtml, safeDecode } = require('./utils');
+const { version } = require('../package.json');
+const { isPaginated, toMillimetres, getPageDimensions, getContentHeightPx, MM_PER_PX } = require('./page');
+
+// Library callers get a quiet converter unless they pass a logger
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+const OUTPUT_FORMATS = ['pdf', 'html', 'both'];
+
+/**
+ * Convert Markdown to PDF, standalone HTML, or both.
+ *
+ * @param {object} options
+ * @param {string} [options.input] - Path to a Markdown file
+ * @param {string} [options.markdown] - Markdown source, used instead of input
+ * @param {string} [options.book] - Book manifest (SUMMARY.md, JSON or YAML chapter list);
+ *   the chapters are assembled into one document instead of reading input
+ * @param {string} [options.output] - Path to write; with format "both" the PDF and
+ *   HTML files share its name. The result is returned either way.
+ * @param {string} [options.format] - "pdf", "html" or "both"; defaults to output.format
+ * @param {object} [options.config] - Config overrides merged over the defaults;
+ *   YAML front matter in the Markdown takes precedence over these
+ * @param {string} [options.basePath] - Directory that relative images and links resolve
+ *   against; defaults to the input file's directory, or the working directory
+ * @param {object} [options.browser] - Puppeteer browser to reuse instead of launching one
+ * @param {object} [options.logger] - console-like object for progress output
+ * @param {function} [options.onDependencies] - Called with the absolute paths of every
+ *   local file the document reads (sources, themes, stylesheets, images), including
+ *   referenced files that do not exist yet, before the browser is started
+ * @returns {Promise<Buffer|string|{ pdf: Buffer, html: string }>} The PDF, the HTML
+ *   document, or both, depending on the format
+ */
+async function convert(options = {}) {
+  const logger = options.logger || silentLogger;
+
+  const { config, html, headings, diagrams, problems, files, book, sourceName } = renderDocument({ ...options, logger });
+  const format = options.format || config.output.format;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format '${format}'. Use ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+
+  if (options.onDependencies) {
+    options.onDependencies(files);
+  }
+
+  const browser = options.browser || await launchBrowser(logger);
+  let pdfBuffer;
+  let standaloneHtml;
+
+  try {
+    const page = await browser.newPage();
+    try {
+      await loadDocument(page, html, config, logger);
+      problems.push(...await findDiagramErrors(page, diagrams));
+      if (book) {
+        // Report lines in the chapter files rather than the assembled book
+        [...problems, ...diagrams].forEach(item => Object.assign(item, locateBookLine(book, item.line)));
+      }
+      checkProblems(problems, config, sourceName, logger);
+      if (config.mermaid.export.dir && diagrams.length > 0) {
+        await exportDiagrams(page, diagrams, config, { input: sourceName, logger });
+      }
+      // Serialize before printing adds page numbers to the TOC and headers
+      if (format !== 'pdf') {
+        standaloneHtml = await serializeHtml(page, new ThemeEngine(config));
+      }
+      if (format !== 'html') {
+        pdfBuffer = await renderPdf(page, headings, config, logger);
+      }
+    } finally {
+      await page.close();
+    }
+  } finally {
+    if (!options.browser) {
+      await browser.close();
+    }
+  }
+
+  if (pdfBuffer) {
+    pdfBuffer = await applyMetadata(pdfBuffer, getDocumentMetadata(config, headings));
+  }
+
+  if (options.output) {
+    const outputPaths = getOutputPaths(options.output, format);
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    if (outputPaths.pdf) fs.writeFileSync(outputPaths.pdf, pdfBuffer);
+    if (outputPaths.html) fs.writeFileSync(outputPaths.html, standaloneHtml);
+  }
+
+  if (format === 'both') {
+    return { pdf: pdfBuffer, html: standaloneHtml };
+  }
+  return format === 'html' ? standaloneHtml : pdfBuffer;
+}
+
+/**
+ * Read a document (a Markdown file or string, or a book), apply its front
+ * matter and render the themed HTML, without starting a browser. The first
+ * half of convert(), also used by the preview server.
+ *
+ * @param {object} options - input, markdown, book, config, basePath and logger
+ *   as for convert()
+ * @returns {{ config: object, html: string, headings: Array, diagrams: Array,
+ *   problems: Array, files: string[], book: object|null, sourceName: string|undefined }}
+ *   As renderHtml, plus the resolved config and the assembled book if any; files
+ *   also lists the source files and theme files
+ */
+function renderDocument(options = {}) {
+  if (options.markdown === undefined && !options.input && !options.book) {
+    throw new Error('Nothing to convert: pass an input file, markdown source or a book manifest');
+  }
+
+  const book = options.book ? assembleBook(loadBookManifest(options.book)) : null;
+  const sourceName = book ? book.manifestPath : options.input;
+  let source;
+  let baseConfig = options.config;
+  if (book) {
+    source = book.markdown;
+    if (book.title) {
+      // The manifest title is a default; an explicit --title or config wins
+      baseConfig = new ConfigManager().mergeConfig({ document: { title: book.title } }, options.config || {});
+    }
+  } else {
+    source = options.markdown !== undefined ? options.markdown : fs.readFileSync(options.input, 'utf8');
+  }
+
+  const { config, markdown, lineOffset, themeFiles } = prepareDocument(source, baseConfig, sourceName, { logger: options.logger });
+  const basePath = options.basePath || (sourceName ? path.dirname(path.resolve(sourceName)) : process.cwd());
+  const rendered = renderHtml(markdown, config, { logger: options.logger, basePath, lineOffset, book });
+
+  const sourceFiles = book
+    ? [book.manifestPath, ...book.chapters.map(chapter => chapter.filePath)]
+    : (options.input ? [path.resolve(options.input)] : []);
+  const files = [...new Set([...sourceFiles, ...themeFiles, ...rendered.files])];
+
+  return { ...rendered, config, files, book, sourceName };
+}
+
+/**
+ * Files written for an output path. With "both", the PDF and HTML files
+ * take the output name with their own extensions.
+ *
+ * @param {string} output - Output path as given
+ * @param {string} format - "pdf", "html" or "both"
+ * @returns {{ pdf?: string, html?: string }}
+ */
+function getOutputPaths(output, format) {
+  if (format === 'pdf') return { pdf: output };
+  if (format === 'html') return { html: output };
+
+  const base = output.replace(/\.(pdf|html?)$/i, '');
+  return { pdf: `${base}.pdf`, html: `${base}.html` };
+}
+
+/**
+ * Strip front matter from a document and merge it over the base config at
+ * the highest precedence, then apply the theme and resolve variables.
+ *
+ * @param {string} source - Markdown source, optionally with YAML front matter
+ * @param {object} [baseConfig] - Unresolved config (e.g. ConfigManager#loadConfig)
+ * @param {string} [fileName] - Used in error messages
+ * @param {object} [options]
+ * @param {object} [options.logger] - console-like object for theme warnings
+ * @returns {{ config: object, markdown: string, frontMatter: object, lineOffset: number,
+ *   themeFiles: string[] }} themeFiles lists the theme files applied, including extended ones
+ */
+function prepareDocument(source, baseConfig = {}, fileName, options = {}) {
+  const configManager = new ConfigManager(options.logger || silentLogger);
+  const { data, content, lineOffset } = parseFrontMatter(source, fileName);
+  const documentConfig = frontMatterToConfig(data, Object.keys(configManager.defaultConfig));
+  configManager.assertValidConfig(documentConfig, `front matter of ${fileName || 'document'}`);
+  // Stylesheets and cover files named in a document are relative to that document
+  if (fileName) {
+    const baseDir = path.dirname(path.resolve(fileName));
+    if (Array.isArray(documentConfig.styles)) {
+      documentConfig.styles = documentConfig.styles.map(stylesheet => path.resolve(baseDir, stylesheet));
+    }
+    if (documentConfig.coverPage && typeof documentConfig.coverPage === 'object') {
+      documentConfig.coverPage = CoverPageRenderer.resolvePaths(documentConfig.coverPage, baseDir);
+    }
+  }
+  const config = configManager.createConfig(configManager.mergeConfig(baseConfig || {}, documentConfig));
+
+  return { config, markdown: content, frontMatter: data, lineOffset, themeFiles: [...configManager.usedThemeFiles] };
+}
+
+/**
+ * Render Markdown to the complete themed HTML document used for printing.
+ *
+ * @param {string} markdown - Markdown source
+ * @param {object} config - Resolved configuration
+ * @param {object} [options]
+ * @param {object} [options.logger] - console-like object for progress output
+ * @param {string} [options.basePath] - Directory that relative images and links resolve against
+ * @param {number} [options.lineOffset] - Lines removed before the Markdown (front matter),
+ *   added to reported source lines
+ * @param {object} [options.book] - Assembled book (see lib/book.js) the Markdown came from
+ * @returns {{ html: string, headings: Array<{ id: string, text: string, level: number }>,
+ *   diagrams: Array<{ index: number, id: string|null, line: number|null }>,
+ *   problems: Array<{ type: string, line: number|null, message: string }>, files: string[] }}
+ *   problems lists missing images, missing linked files and links to unknown anchors;
+ *   files lists the local images, stylesheets, cover files and Mermaid script read
+ */
+function renderHtml(markdown, config, options = {}) {
+  const logger = options.logger || silentLogger;
+  const themeEngine = new ThemeEngine(config);
+  const tocGenerator = new TocGenerator(config);
+  const coverPageRenderer = new CoverPageRenderer(config, logger);
+  const mermaidRenderer = new MermaidRenderer(config);
+  const codeHighlighter = new CodeHighlighter(config, logger);
+  const assetResolver = new AssetResolver(config, options.basePath, logger);
+  const stylesheetLoader = new StylesheetLoader(config, logger);
+
+  // Source lines of the mermaid fences, matched to blocks in render order
+  const mermaidBlocks = MermaidRenderer.findBlocks(markdown);
+  const diagrams = [];
+
+  // Configure marked with custom renderer for mermaid
+  const renderer = new Renderer();
+  
+  // Override code block rendering to handle mermaid
+  renderer.code = function(code, infostring) {
+    const language = (infostring || '').match(/^\S*/)[0];
+    if (language === 'mermaid') {
+      logger.log("Creating mermaid div");
+      const block = mermaidBlocks[diagrams.length];
+      const diagram = {
+        index: diagrams.length + 1,
+        id: MermaidRenderer.parseDiagramId(infostring),
+        line: block ? block.line + (options.lineOffset || 0) : null
+      };
+      diagrams.push(diagram);
+      return `<div class="mermaid" data-diagram="${diagram.index}">${code}</div>`;
+    }
+    
+    // Highlighted code block with optional line numbers and caption from the info string
+    return codeHighlighter.renderCodeBlock(code, infostring);
+  };
+
+  // Give every heading a stable anchor so the TOC can link to it
+  renderer.heading = function(text, level, raw) {
+    const id = tocGenerator.addHeading(raw, level);
+    return `<h${level} id="${id}">${text}</h${level}>\n`;
+  };
+
+  // Resolve local images and links against the Markdown file's directory
+  renderer.image = function(href, title, text) {
+    return Renderer.prototype.image.call(this, assetResolver.resolveImage(href), title, text);
+  };
+
+  const anchorLinks = [];
+  const book = options.book || null;
+  let chapter = null;
+  renderer.link = function(href, title, text) {
+    const bookLink = book ? resolveBookLink(book, chapter, href) : null;
+    const resolved = bookLink || assetResolver.resolveLink(href);
+    if (resolved && resolved.startsWith('#')) anchorLinks.push(resolved);
+    return Renderer.prototype.link.call(this, resolved, title, text);
+  };
+
+  renderer.html = function(html) {
+    const chapterStart = book ? matchChapterMarker(book, html) : null;
+    if (chapterStart) {
+      // Later links and images belong to this chapter's file
+      chapter = chapterStart;
+      assetResolver.basePath = chapter.baseDir;
+      return html;
+    }
+    return assetResolver.resolveHtml(html);
+  };
+
+  // A private instance keeps these options out of the global marked defaults
+  const marked = new Marked().setOptions({
+    renderer: renderer,
+    breaks: true,
+    gfm: true,
+  });
+
+  const htmlContent = marked.parse(markdown);
+  const tocHtml = tocGenerator.generateHTML();
+  const firstHeading = tocGenerator.headings.find(heading => heading.level === 1);
+  const coverHtml = coverPageRenderer.generateHTML(firstHeading ? firstHeading.text : '');
+
+  // Mermaid is inlined from a local package so conversion works offline
+  const mermaidScriptTag = mermaidRenderer.generateScriptTag();
+  
+  logger.log(`Generated HTML contains ${diagrams.length} mermaid blocks`);
+
+  const html = htmlTemplate(coverHtml + tocHtml + htmlContent, {
+    config,
+    title: getDocumentTitle(config, tocGenerator.headings),
+    themeEngine,
+    codeHighlighter,
+    coverPageRenderer,
+    stylesheetLoader,
+    mermaidScriptTag
+  });
+
+  // Links to anchors that no element in the document defines
+  const ids = new Set(Array.from(htmlContent.matchAll(/\sid="([^"]*)"/g), match => match[1]));
+  const brokenAnchors = [...new Set(anchorLinks)].filter(href => !ids.has(safeDecode(href.slice(1))));
+
+  const problems = [
+    ...assetResolver.missing.map(asset => ({
+      type: asset.type,
+      line: findSourceLine(markdown, asset.reference, options.lineOffset),
+      message: asset.type === 'image'
+        ? `Image not found: ${asset.reference} (${asset.filePath})`
+        : `Broken link: ${asset.reference} (${asset.filePath} not found)`
+    })),
+    ...brokenAnchors.map(href => ({
+      type: 'link',
+      line: findSourceLine(markdown, `](${href}`, options.lineOffset),
+      message: `Broken link: ${href} (no heading or element with that id)`
+    }))
+  ];
+
+  const files = [...assetResolver.files, ...stylesheetLoader.files, ...coverPageRenderer.files];
+  if (config.mermaid.scriptPath) {
+    files.push(path.resolve(process.cwd(), config.mermaid.scriptPath));
+  }
+
+  return { html, headings: tocGenerator.headings, diagrams, problems, files };
+}
+
+// First source line containing text, for messages; null when not found
+function findSourceLine(markdown, text, lineOffset = 0) {
+  const index = markdown.split('\n').findIndex(line => line.includes(text));
+  return index === -1 ? null : index + 1 + lineOffset;
+}
+
+// Title falls back to the first H1 so untitled documents are still indexed
+function getDocumentTitle(config, headings) {
+  const firstHeading = headings.find(heading => heading.level === 1);
+  return config.document.title || (firstHeading ? firstHeading.text : '');
+}
+
+function getDocumentMetadata(config, headings) {
+  const { document } = config;
+  return {
+    title: getDocumentTitle(config, headings),
+    author: document.author,
+    subject: document.subject,
+    keywords: document.keywords,
+    language: document.language,
+    creator: `md2pdf ${version}`,
+    producer: `markdown-to-pdf-cli ${version}`
+  };
+}
+
+// Load the themed HTML into a page and render its Mermaid diagrams
+async function loadDocument(page, html, config, logger) {
+  const paginated = isPaginated(config.page);
+  const pageDimensions = getPageDimensions(config.page, logger);
+
+  // Lay paginated content out at the printable width so measurements match the PDF
+  if (paginated) {
+    const { left, right } = config.page.margins;
+    const contentWidthMm = pageDimensions.width - toMillimetres(left) - toMillimetres(right);
+    await page.setViewport({ width: Math.round(contentWidthMm / MM_PER_PX), height: 1123 });
+  }
+
+  // Ensure color rendering is enabled
+  await page.emulateMediaType("print");
+
+  // Set content and wait for Mermaid to render
+  await page.setContent(html, {
+    waitUntil: "networkidle0",
+  });
+
+  // Inject additional CSS to ensure color rendering and reduce background opacity
+  await page.addStyleTag({
+    content: `
+      * {
+        -webkit-print-color-adjust: exact !important;
+        color-adjust: exact !important;
+        print-color-adjust: exact !important;
+      }
+      .mermaid {
+        background: transparent !important;
+        padding: 5px !important;
+      }
+      .mermaid svg {
+        background: transparent !important;
+      }
+      .mermaid svg rect[fill],
+      .mermaid svg path[fill],
+      .mermaid svg circle[fill],
+      .mermaid svg polygon[fill],
+      .mermaid svg ellipse[fill] {
+        -webkit-print-color-adjust: exact !important;
+        color-adjust: exact !important;
+        print-color-adjust: exact !important;
+      }
+      /* Force specific color rendering for common Mermaid elements */
+      .mermaid svg .node rect,
+      .mermaid svg .cluster rect {
+        -webkit-print-color-adjust: exact !important;
+        color-adjust: exact !important;
+        print-color-adjust: exact !important;
+      }
+    `,
+  });
+
+  // Wait a moment for CSS to apply
+  await new Promise((resolve) => setTimeout(resolve, 500));
+
+  await renderMermaidDiagrams(page, logger);
+}
+
+// Replace every .mermaid block in the loaded page with its rendered SVG
+async function renderMermaidDiagrams(page, logger) {
+  // Wait for all Mermaid diagrams to render with improved detection
+  try {
+    logger.log("Checking for Mermaid diagrams...");
+
+    // Check if there are any mermaid elements
+    const mermaidCount = await page.evaluate(() => {
+      return document.querySelectorAll(".mermaid").length;
+    });
+
+    if (mermaidCount > 0) {
+      logger.log(`Found ${mermaidCount} Mermaid diagrams, waiting for rendering...`);
+
+      // Wait longer for Mermaid to load and render
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      // Force render any unrendered diagrams
+      await page.evaluate(async () => {
+        if (typeof mermaid !== 'undefined') {
+          const mermaidElements = document.querySelectorAll(".mermaid:not([data-rendered])");
+          for (let i = 0; i < mermaidElements.length; i++) {
+            const element = mermaidElements[i];
+            const graphDefinition = element.textContent.trim();
+
+            if (graphDefinition) {
+              try {
+                const { svg } = await mermaid.render(`diagram-${Date.now()}-${i}`, graphDefinition);
+                element.innerHTML = svg;
+                element.setAttribute('data-rendered', 'true');
+                console.log(`Rendered diagram ${i + 1}`);
+              } catch (error) {
+                console.error('Mermaid rendering error:', error);
+                element.innerHTML = `<div style="color: red; border: 1px solid red; padding: 10px; border-radius: 4px;">❌ Diagram Error: ${error.message}</div>`;
+                element.setAttribute('data-rendered', 'error');
+                element.setAttribute('data-error', error.message);
+              }
+            }
+          }
+        }
+      });
+
+      // Wait for rendering to complete
+      await page.waitForFunction(
+        () => {
+          const mermaidElements = document.querySelectorAll(".mermaid");
+          if (mermaidElements.length === 0) return true;
+
+          return Array.from(mermaidElements).every(element => 
+            element.hasAttribute("data-rendered")
+          );
+        },
+        { timeout: 15000, polling: 500 }
+      );
+
+      // Additional verification - count rendered diagrams
+      const diagramCount = await page.evaluate(() => {
+        const elements = document.querySelectorAll(".mermaid");
+        const rendered = document.querySelectorAll(".mermaid[data-rendered]");
+        return { total: elements.length, rendered: rendered.length };
+      });
+
+      logger.log(
+        `Mermaid rendering complete: ${diagramCount.rendered}/${diagramCount.total} diagrams rendered`
+      );
+
+      // Post-process SVGs to enhance color rendering
+      await page.evaluate(() => {
+        const svgElements = document.querySelectorAll(".mermaid svg");
+        svgElements.forEach((svg) => {
+          // Force all fill attributes to be more vibrant
+          const fillElements = svg.querySelectorAll("[fill]");
+          fillElements.forEach((element) => {
+            const fill = element.getAttribute("fill");
+            if (fill && fill !== "none" && fill !== "transparent") {
+              element.style.fill = fill;
+              element.style.setProperty("fill", fill, "important");
+            }
+          });
+
+          // Force stroke colors
+          const strokeElements = svg.querySelectorAll("[stroke]");
+          strokeElements.forEach((element) => {
+            const stroke = element.getAttribute("stroke");
+            if (stroke && stroke !== "none" && stroke !== "transparent") {
+              element.style.stroke = stroke;
+              element.style.setProperty("stroke", stroke, "important");
+            }
+          });
+        });
+      });
+    } else {
+      logger.log("No Mermaid diagrams found");
+    }
+  } catch (e) {
+    logger.warn(
+      "Warning: Mermaid diagrams may not have fully rendered:",
+      e.message
+    );
+
+    // Fallback: try to render any remaining diagrams manually
+    await page.evaluate(async () => {
+      const unrenderedElements = document.querySelectorAll(
+        ".mermaid:not([data-rendered])"
+      );
+      console.log(
+        `Attempting to render ${unrenderedElements.length} remaining diagrams...`
+      );
+
+      for (let i = 0; i < unrenderedElements.length; i++) {
+        const element = unrenderedElements[i];
+        const graphDefinition = element.textContent.trim();
+
+        if (graphDefinition) {
+          try {
+            const { svg } = await mermaid.render(
+              `fallback-mermaid-${i}`,
+              graphDefinition
+            );
+            element.innerHTML = svg;
+            element.setAttribute("data-rendered", "true");
+          } catch (error) {
+            console.error("Fallback rendering failed:", error);
+            element.setAttribute("data-rendered", "error");
+            element.setAttribute("data-error", error.message);
+          }
+        }
+      }
+    });
+  }
+}
+
+// Print a loaded document, filling in page numbers first
+async function renderPdf(page, headings, config, logger) {
+  const themeEngine = new ThemeEngine(config);
+  const paginated = isPaginated(config.page);
+  const pageDimensions = getPageDimensions(config.page);
+
+  // Calculate approximate pages from the printable page height (A4 ≈ 1123px at 96dpi)
+  const pageHeightPx = getContentHeightPx(config.page);
+
+  // Infinite scroll has no real pages, so its TOC numbers are the A4 pages
+  // the content would fill. Paginated output is numbered from the PDF below.
+  if (config.toc.enabled && !paginated) {
+    await page.evaluate((pageHeightPx) => {
+      document.querySelectorAll('.toc a[href^="#"]').forEach(link => {
+        const target = document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1)));
+        const pageNumber = link.querySelector('.page-number');
+        if (!target || !pageNumber) return;
+
+        const top = target.getBoundingClientRect().top + window.scrollY;
+        pageNumber.textContent = Math.floor(top / pageHeightPx) + 1;
+      });
+    }, pageHeightPx);
+  }
+
+  // Calculate content height and page numbers for infinite scroll
+  const { contentHeight, pageInfo } = await page.evaluate((pageHeightPx) => {
+    const height = Math.max(
+      document.body.scrollHeight,
+      document.body.offsetHeight,
+      document.documentElement.clientHeight,
+      document.documentElement.scrollHeight,
+      document.documentElement.offsetHeight
+    );
+
+    const totalPages = Math.ceil(height / pageHeightPx);
+
+    return {
+      contentHeight: height,
+      pageInfo: {
+        totalPages: totalPages,
+        currentPage: 1 // For infinite scroll, we treat it as one continuous page
+      }
+    };
+  }, pageHeightPx);
+
+  // Update header/footer content with page numbers
+  if (config.header.enabled || config.footer.enabled) {
+    await page.evaluate((pageInfo) => {
+      const replacements = {
+        '{{pageNumber}}': pageInfo.currentPage,
+        '{{totalPages}}': pageInfo.totalPages,
+        '{{sectionTitle}}': ''
+      };
+
+      // Update header content
+      document.querySelectorAll('.header-left, .header-center, .header-right').forEach(el => {
+        let content = el.textContent;
+        for (const [placeholder, value] of Object.entries(replacements)) {
+          content = content.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
+        }
+        el.textContent = content;
+      });
+
+      // Update footer content  
+      document.querySelectorAll('.footer-left, .footer-center, .footer-right').forEach(el => {
+        let content = el.textContent;
+        for (const [placeholder, value] of Object.entries(replacements)) {
+          content = content.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
+        }
+        el.textContent = content;
+      });
+    }, pageInfo);
+  }
+
+  // Convert pixels to mm (at 96 DPI: 1px = 0.264583mm)
+  const heightMm = Math.ceil(contentHeight * MM_PER_PX);
+  if (paginated) {
+    logger.log(`Paginated output: ${config.page.format} ${config.page.orientation} (≈${pageInfo.totalPages} pages)`);
+  } else {
+    logger.log(`Content height: ${contentHeight}px = ${heightMm}mm (≈${pageInfo.totalPages} A4 pages)`);
+  }
+
+  // Generate infinite-scroll or paginated PDF with configured settings
+  const pdfOptions = {
+    printBackground: config.output.printBackground,
+    preferCSSPageSize: config.output.preferCSSPageSize,
+    width: paginated ? `${pageDimensions.width}mm` : config.page.width,
+    height: paginated
+      ? `${pageDimensions.height}mm`
+      : config.page.height === 'auto' ? `${heightMm}mm` : config.page.height,
+    margin: config.page.margins,
+    format: null, // Use custom dimensions
+    // Infinite scroll draws its header/footer in the page itself
+    displayHeaderFooter: paginated && config.output.displayHeaderFooter && (config.header.enabled || config.footer.enabled),
+    headerTemplate: themeEngine.generatePrintTemplate('header'),
+    footerTemplate: themeEngine.generatePrintTemplate('footer'),
+    omitBackground: config.output.omitBackground,
+    timeout: config.output.timeout,
+  };
+
+  await addHeadingLinks(page, headings);
+
+  if (config.toc.enabled && paginated) {
+    await fillTocPageNumbers(page, pdfOptions);
+  }
+
+  let pdfBuffer;
+  if (pdfOptions.displayHeaderFooter && themeEngine.hasRunningHeads()) {
+    const sections = headings.filter(heading => heading.level === 1);
+    pdfBuffer = await renderPdfWithRunningHeads(page, pdfOptions, themeEngine, sections);
+  } else {
+    pdfBuffer = await page.pdf(pdfOptions);
+  }
+
+  if (config.outline.enabled && headings.length > 0) {
+    const located = await locateHeadings(pdfBuffer, headings);
+    const tree = TocGenerator.buildTree(located, config.outline.maxDepth);
+    pdfBuffer = await addOutline(pdfBuffer, toOutlineItems(tree));
+  }
+
+  // Puppeteer returns a Uint8Array; callers get a Buffer
+  return Buffer.from(pdfBuffer);
+}
+
+// Diagrams that Mermaid could not render, as problems with source lines
+async function findDiagramErrors(page, diagrams) {
+  const failures = await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('.mermaid'))
+      .filter(element => element.getAttribute('data-rendered') !== 'true')
+      .map(element => ({
+        index: Number(element.getAttribute('data-diagram')),
+        error: element.getAttribute('data-error') || 'diagram was not rendered'
+      }));
+  });
+
+  return failures.map(({ index, error }) => {
+    const diagram = diagrams.find(item => item.index === index);
+    return {
+      type: 'diagram',
+      line: diagram ? diagram.line : null,
+      message: `Mermaid diagram ${index} failed to render: ${error}`
+    };
+  });
+}
+
+// Report problems as file:line messages. In strict mode they fail the
+// conversion before anything is written; otherwise they are warnings.
+function checkProblems(problems, config, input, logger) {
+  if (problems.length === 0) {
+    return;
+  }
+
+  const file = input || 'document';
+  const list = formatProblems(problems, input);
+
+  if (config.strict) {
+    const error = new Error(`Strict mode: ${problems.length} problem${problems.length === 1 ? '' : 's'} in ${file}:\n${list}`);
+    error.code = 'STRICT_CHECK_FAILED';
+    error.problems = problems;
+    throw error;
+  }
+
+  logger.warn(`Warning: Problems in ${file}:\n${list}`);
+}
+
+/**
+ * List problems as indented file:line messages, sorted by line. Problems
+ * without their own file (chapters of a book have one) belong to input.
+ *
+ * @param {Array<{ line: number|null, message: string, file?: string }>} problems
+ * @param {string} [input] - The document's file name
+ * @returns {string}
+ */
+function formatProblems(problems, input) {
+  const file = input || 'document';
+  return [...problems]
+    .sort((a, b) => (a.line || 0) - (b.line || 0))
+    .map(problem => `  ${problem.file ? path.relative(process.cwd(), problem.file) : file}${problem.line ? `:${problem.line}` : ''}: ${problem.message}`)
+    .join('\n');
+}
+
+// Write every rendered diagram as SVG and/or PNG into mermaid.export.dir
+// ({name} is replaced by the input file name), with a manifest.json that
+// maps each file back to its source line
+async function exportDiagrams(page, diagrams, config, { input, logger }) {
+  const { dir, formats } = config.mermaid.export;
+  const documentName = input ? path.basename(input, path.extname(input)) : 'document';
+  const exportDir = path.resolve(dir.replace(/\{name\}/g, documentName));
+  fs.mkdirSync(exportDir, { recursive: true });
+
+  const usedNames = new Set();
+  const entries = [];
+
+  for (const diagram of diagrams) {
+    let baseName = diagram.id || `diagram-${diagram.index}`;
+    if (usedNames.has(baseName)) baseName = `${baseName}-${diagram.index}`;
+    usedNames.add(baseName);
+
+    const entry = { index: diagram.index, id: diagram.id, line: diagram.line, files: {} };
+    if (diagram.file) entry.source = diagram.file;
+    entries.push(entry);
+
+    const selector = `.mermaid[data-diagram="${diagram.index}"]`;
+    const svgHandle = await page.$(`${selector}[data-rendered="true"] svg`);
+    if (!svgHandle) {
+      entry.error = 'Diagram failed to render';
+      logger.warn(`Warning: Diagram ${diagram.index}${diagram.line ? ` (line ${diagram.line})` : ''} failed to render and was not exported`);
+      continue;
+    }
+
+    try {
+      if (formats.includes('svg')) {
+        const svg = await svgHandle.evaluate(element => new XMLSerializer().serializeToString(element));
+        fs.writeFileSync(path.join(exportDir, `${baseName}.svg`), `<?xml version="1.0" encoding="UTF-8"?>\n${svg}\n`);
+        entry.files.svg = `${baseName}.svg`;
+      }
+
+      if (formats.includes('png')) {
+        await svgHandle.screenshot({ path: path.join(exportDir, `${baseName}.png`) });
+        entry.files.png = `${baseName}.png`;
+      }
+    } finally {
+      await svgHandle.dispose();
+    }
+  }
+
+  const manifest = { source: input ? path.resolve(input) : null, diagrams: entries };
+  fs.writeFileSync(path.join(exportDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  logger.log(`Exported ${entries.filter(entry => !entry.error).length} diagrams to ${exportDir}`);
+}
+
+// The rendered page as a self-contained HTML file. Diagrams are already
+// SVG, so the Mermaid script is dropped along with print-only parts: the
+// fixed header/footer and TOC page numbers.
+async function serializeHtml(page, themeEngine) {
+  const html = await page.evaluate((screenCss) => {
+    const root = document.documentElement.cloneNode(true);
+    root.querySelectorAll('script, body > .header, body > .footer, .toc .page-number').forEach(element => element.remove());
+
+    const style = document.createElement('style');
+    style.textContent = screenCss;
+    root.querySelector('head').appendChild(style);
+
+    return root.outerHTML;
+  }, themeEngine.generateScreenCSS());
+
+  return `<!DOCTYPE html>\n${html}\n`;
+}
+
+// Chromium templates cannot know which section a page belongs to, so the
+// document is printed once to find where each H1 lands, then reprinted in
+// page ranges with the matching section title and merged back together
+async function renderPdfWithRunningHeads(page, pdfOptions, themeEngine, sections) {
+  const firstPass = await page.pdf(pdfOptions);
+  const { pageCount, destinations } = await getNamedDestinations(firstPass);
+  // Every heading has a destination (see addHeadingLinks), giving the page
+  // each section really starts on, after any forced breaks
+  const sectionStarts = sections
+    .filter(section => destinations.has(section.id))
+    .map(section => ({ title: section.text, pageIndex: destinations.get(section.id).pageIndex }));
+
+  // A page shows the first section starting on it, or the one still running
+  const pageTitles = [];
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const startingHere = sectionStarts.find(section => section.pageIndex === pageIndex);
+    const running = sectionStarts.filter(section => section.pageIndex < pageIndex).pop();
+    pageTitles.push((startingHere || running || { title: '' }).title);
+  }
+
+  const ranges = [];
+  pageTitles.forEach((title, pageIndex) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.title === title) {
+      last.end = pageIndex + 1;
+    } else {
+      ranges.push({ title, start: pageIndex + 1, end: pageIndex + 1 });
+    }
+  });
+
+  if (ranges.length <= 1) {
+    return page.pdf({
+      ...pdfOptions,
+      headerTemplate: themeEngine.generatePrintTemplate('header', { sectionTitle: pageTitles[0] || '' }),
+      footerTemplate: themeEngine.generatePrintTemplate('footer', { sectionTitle: pageTitles[0] || '' })
+    });
+  }
+
+  const chunks = [];
+  for (const range of ranges) {
+    const templateOptions = { sectionTitle: range.title, totalPages: pageCount };
+    chunks.push(await page.pdf({
+      ...pdfOptions,
+      pageRanges: `${range.start}-${range.end}`,
+      headerTemplate: themeEngine.generatePrintTemplate('header', templateOptions),
+      footerTemplate: themeEngine.generatePrintTemplate('footer', templateOptions)
+    }));
+  }
+
+  return mergePdfs(chunks, destinations);
+}
+
+// Chromium writes named destinations only for the targets of links, so
+// each heading gets a link from a visually hidden list. It stays in the
+// layout, where display: none would keep Chromium from seeing the links.
+async function addHeadingLinks(page, headings) {
+  await page.evaluate((ids) => {
+    const list = document.createElement('div');
+    list.className = 'heading-links';
+    list.setAttribute('aria-hidden', 'true');
+    list.style.cssText = 'position: absolute; top: 0; left: 0; width: 1px; height: 1px; overflow: hidden; clip-path: inset(50%);';
+    for (const id of ids) {
+      const link = document.createElement('a');
+      link.href = `#${encodeURIComponent(id)}`;
+      link.textContent = '\u200b';
+      list.appendChild(link);
+    }
+    document.body.appendChild(list);
+  }, headings.map(heading => heading.id));
+}
+
+// Print once and number the TOC with the page each heading landed on, so
+// the cover, the TOC's own page break and any forced breaks are counted
+async function fillTocPageNumbers(page, pdfOptions) {
+  const { destinations } = await getNamedDestinations(await page.pdf(pdfOptions));
+  const pageNumbers = Object.fromEntries(
+    [...destinations].map(([id, destination]) => [id, destination.pageIndex + 1])
+  );
+
+  await page.evaluate((pageNumbers) => {
+    document.querySelectorAll('.toc a[href^="#"]').forEach(link => {
+      const id = decodeURIComponent(link.getAttribute('href').slice(1));
+      const pageNumber = link.querySelector('.page-number');
+      if (pageNumber && pageNumbers[id]) pageNumber.textContent = pageNumbers[id];
+    });
+  }, pageNumbers);
+}
+
+// Find the page and vertical position (PDF points from the bottom of the
+// page) of each heading from the named destinations of a PDF printed after
+// addHeadingLinks(). Headings missing from the PDF are dropped.
+async function locateHeadings(pdfBuffer, headings) {
+  const { destinations } = await getNamedDestinations(pdfBuffer);
+
+  return headings
+    .filter(heading => destinations.has(heading.id))
+    .map(heading => {
+      const { pageIndex, top } = destinations.get(heading.id);
+      return { ...heading, pageIndex, top };
+    });
+}
+
+function toOutlineItems(nodes) {
+  return nodes.map(node => ({
+    title: node.text,
+    pageIndex: node.pageIndex,
+    top: node.top,
+    children: toOutlineItems(node.children)
+  }));
+}
+
+// HTML template with Mermaid support
+function htmlTemplate(content, { config, title, themeEngine, codeHighlighter, coverPageRenderer, stylesheetLoader, mermaidScriptTag }) {
+  return `
+<!DOCTYPE html>
+<html lang="${escapeHtml(config.document.language || 'en')}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title || 'Markdown to PDF')}</title>
+  ${config.document.author ? `<meta name="author" content="${escapeHtml(config.document.author)}">` : ''}
+  ${config.document.subject ? `<meta name="description" content="${escapeHtml(config.document.subject)}">` : ''}
+  ${mermaidScriptTag}
+  <style>
+    ${themeEngine.generateCSS()}
+    ${codeHighlighter.generateCSS()}
+    ${themeEngine.generateHeaderFooterCSS()}
+    ${coverPageRenderer.generateCSS()}
+  </style>
+  <style>
+    ${stylesheetLoader.generateCSS()}
+  </style>
+</head>
+<body>
+  ${themeEngine.generateHeaderFooterHTML()}
+  <div class="main-content">
+    ${content}
+  </div>
+  <script>
+    // Initialize Mermaid with high-contrast theme for better visibility
+    mermaid.initialize({
+      startOnLoad: false,
+      theme: 'default',
+      themeVariables: {
+        // High contrast colors for better visibility
+        primaryColor: '#f0f8ff',
+        primaryTextColor: '#000000',
+        primaryBorderColor: '#1f2937',
+        lineColor: '#1f2937',
+        secondaryColor: '#e0f2fe',
+        tertiaryColor: '#fef3c7',
+        background: '#ffffff',
+        mainBkg: '#f0f8ff',
+        secondBkg: '#e0f2fe',
+        tertiaryBkg: '#fef3c7',
+        // Strong borders and text
+        nodeBorder: '#1f2937',
+        clusterBkg: '#fef3c7',
+        clusterBorder: '#d97706',
+        defaultLinkColor: '#1f2937',
+        titleColor: '#000000',
+        edgeLabelBackground: '#ffffff',
+        // Sequence diagram colors
+        actorBkg: '#f0f8ff',
+        actorBorder: '#1f2937',
+        actorTextColor: '#000000',
+        activationBorderColor: '#1f2937',
+        activationBkgColor: '#e0f2fe',
+        sequenceNumberColor: '#000000',
+        // Flowchart colors
+        nodeTextColor: '#000000',
+        // Pie chart colors
+        pie1: '#3b82f6',
+        pie2: '#10b981',
+        pie3: '#f59e0b',
+        pie4: '#ef4444',
+        pie5: '#8b5cf6',
+        pie6: '#f97316',
+        pie7: '#06b6d4',
+        pie8: '#84cc16',
+        pie9: '#ec4899',
+        pie10: '#6366f1',
+        pie11: '#14b8a6',
+        pie12: '#f43f5e'
+      },
+      flowchart: {
+        useMaxWidth: true,
+        htmlLabels: true,
+        curve: 'basis'
+      },
+      sequence: {
+        useMaxWidth: true,
+        actorMargin: 50,
+        boxMargin: 10,
+        boxTextMargin: 5,
+        noteMargin: 10,
+        messageMargin: 35
+      },
+      gantt: {
+        useMaxWidth: true
+      },
+      pie: {
+        useMaxWidth: true
+      },
+      securityLevel: 'loose'
+    });
+
+    // Function to render all Mermaid diagrams
+    async function renderMermaidDiagrams() {
+      const mermaidElements = document.querySelectorAll('.mermaid');
+
+      for (let i = 0; i < mermaidElements.length; i++) {
+        const element = mermaidElements[i];
+        const graphDefinition = element.textContent.trim();
+
+        if (graphDefinition) {
+          try {
+            const { svg } = await mermaid.render(\`mermaid-\${i}\`, graphDefinition);
+            element.innerHTML = svg;
+            element.setAttribute('data-rendered', 'true');
+          } catch (error) {
+            console.error('Mermaid rendering error:', error);
+            element.innerHTML = \`<div style="color: red; border: 1px solid red; padding: 10px;">Error rendering diagram: \${error.message}</div>\`;
+            element.setAttribute('data-rendered', 'error');
+            element.setAttribute('data-error', error.message);
+          }
+        }
+      }
+    }
+
+    // Render diagrams when DOM is ready
+    document.addEventListener('DOMContentLoaded', async function() {
+      await renderMermaidDiagrams();
+      // Signal that rendering is complete
+      window.mermaidRenderingComplete = true;
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  convert,
+  formatProblems,
+  getOutputPaths,
+  prepareDocument,
+  renderDocument,
+  renderHtml
+};
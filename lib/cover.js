@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, isExternalUrl, toDataUri } = require('./utils');
+const { getPageDimensions } = require('./page');
+
+const BUILT_IN_TEMPLATES = ['default', 'minimal', 'banner'];
+
+class CoverPageRenderer {
+  constructor(config, logger = console) {
+    this.config = config;
+    this.logger = logger;
+    // Logo and template files read, for watch mode
+    this.files = new Set();
+  }
+
+  static getBuiltInTemplates() {
+    return [...BUILT_IN_TEMPLATES];
+  }
+
+  // Make a local logo and template path absolute against baseDir, the
+  // directory of the config file or document that set them. Remote logos
+  // and built-in template names are kept as written.
+  static resolvePaths(coverPage, baseDir) {
+    const resolved = { ...coverPage };
+    if (typeof resolved.logo === 'string' && resolved.logo && !isExternalUrl(resolved.logo)) {
+      resolved.logo = path.resolve(baseDir, resolved.logo);
+    }
+    if (typeof resolved.template === 'string' && resolved.template && !BUILT_IN_TEMPLATES.includes(resolved.template)) {
+      resolved.template = path.resolve(baseDir, resolved.template);
+    }
+    return resolved;
+  }
+
+  // Resolve the cover fields, falling back to the first heading for the title
+  getFields(fallbackTitle = '') {
+    const { coverPage } = this.config;
+
+    return {
+      title: coverPage.title || fallbackTitle,
+      subtitle: coverPage.subtitle || '',
+      author: coverPage.author || '',
+      date: coverPage.date || '',
+      logo: this.resolveLogo(coverPage.logo)
+    };
+  }
+
+  // Local logos are embedded as data URIs; remote URLs are passed through
+  resolveLogo(logo) {
+    if (!logo) return '';
+    if (isExternalUrl(logo)) return logo;
+
+    const logoPath = path.resolve(process.cwd(), logo);
+    this.files.add(logoPath);
+    if (!fs.existsSync(logoPath)) {
+      this.logger.warn(`Warning: Cover page logo not found: ${logoPath}`);
+      return '';
+    }
+
+    return toDataUri(logoPath);
+  }
+
+  generateCSS() {
+    const { coverPage, page, theme } = this.config;
+
+    if (!coverPage.enabled) {
+      return '';
+    }
+
+    const colors = theme.colors;
+    const { height } = getPageDimensions(page);
+
+    return `
+    /* Cover page */
+    .cover-page {
+      display: flex;
+      flex-direction: column;
+      box-sizing: border-box;
+      min-height: calc(${height}mm - ${page.margins.top} - ${page.margins.bottom});
+      page-break-after: always;
+      break-after: page;
+    }
+
+    .cover-page .cover-logo img {
+      max-width: 60mm;
+      max-height: 30mm;
+    }
+
+    .cover-page .cover-title {
+      border: none;
+      margin: 0 0 0.3em 0;
+      font-size: 2.6em;
+      line-height: 1.2;
+      color: ${colors.primary};
+    }
+
+    .cover-page .cover-subtitle {
+      margin: 0 0 1em 0;
+      font-size: 1.4em;
+      color: ${colors.secondary};
+    }
+
+    .cover-page .cover-author,
+    .cover-page .cover-date {
+      margin: 0.2em 0;
+      font-size: 1.1em;
+    }
+
+    .cover-default {
+      justify-content: center;
+      text-align: center;
+    }
+
+    .cover-default .cover-logo {
+      margin-bottom: 3em;
+    }
+
+    .cover-default .cover-rule {
+      width: 40%;
+      margin: 1.5em auto;
+      border-top: 3px solid ${colors.secondary};
+    }
+
+    .cover-minimal {
+      justify-content: flex-end;
+      padding-bottom: 20%;
+    }
+
+    .cover-minimal .cover-logo {
+      margin-bottom: auto;
+    }
+
+    .cover-banner .cover-band {
+      margin: -${page.margins.top} -${page.margins.right} 3em -${page.margins.left};
+      padding: 30mm ${page.margins.right} 15mm ${page.margins.left};
+      background: ${colors.primary};
+      -webkit-print-color-adjust: exact;
+      print-color-adjust: exact;
+    }
+
+    .cover-banner .cover-band .cover-title,
+    .cover-banner .cover-band .cover-subtitle {
+      color: ${colors.background};
+    }
+
+    .cover-banner .cover-meta {
+      margin-top: auto;
+      padding-top: 1em;
+      border-top: 1px solid ${colors.border};
+    }
+    `;
+  }
+
+  generateHTML(fallbackTitle) {
+    const { coverPage } = this.config;
+
+    if (!coverPage.enabled) {
+      return '';
+    }
+
+    const fields = this.getFields(fallbackTitle);
+    const template = coverPage.template || 'default';
+
+    if (!BUILT_IN_TEMPLATES.includes(template)) {
+      const customHtml = this.renderCustomTemplate(template, fields);
+      if (customHtml !== null) {
+        return `<section class="cover-page cover-custom">${customHtml}</section>`;
+      }
+    }
+
+    return this.renderBuiltInTemplate(BUILT_IN_TEMPLATES.includes(template) ? template : 'default', fields);
+  }
+
+  renderBuiltInTemplate(template, fields) {
+    const logo = fields.logo
+      ? `<div class="cover-logo"><img src="${escapeHtml(fields.logo)}" alt=""></div>`
+      : '';
+    const title = fields.title ? `<h1 class="cover-title">${escapeHtml(fields.title)}</h1>` : '';
+    const subtitle = fields.subtitle ? `<p class="cover-subtitle">${escapeHtml(fields.subtitle)}</p>` : '';
+    const author = fields.author ? `<p class="cover-author">${escapeHtml(fields.author)}</p>` : '';
+    const date = fields.date ? `<p class="cover-date">${escapeHtml(fields.date)}</p>` : '';
+
+    if (template === 'banner') {
+      return `
+      <section class="cover-page cover-banner">
+        <div class="cover-band">${title}${subtitle}</div>
+        ${logo}
+        <div class="cover-meta">${author}${date}</div>
+      </section>
+      `;
+    }
+
+    if (template === 'minimal') {
+      return `
+      <section class="cover-page cover-minimal">
+        ${logo}
+        ${title}${subtitle}${author}${date}
+      </section>
+      `;
+    }
+
+    return `
+    <section class="cover-page cover-default">
+      ${logo}
+      ${title}${subtitle}
+      <div class="cover-rule"></div>
+      ${author}${date}
+    </section>
+    `;
+  }
+
+  // User templates are plain HTML files with {{title}}, {{subtitle}},
+  // {{author}}, {{date}} and {{logo}} placeholders
+  renderCustomTemplate(templatePath, fields) {
+    const resolvedPath = path.resolve(process.cwd(), templatePath);
+    this.files.add(resolvedPath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      this.logger.warn(`Warning: Cover template '${templatePath}' not found. Using default template.`);
+      return null;
+    }
+
+    const template = fs.readFileSync(resolvedPath, 'utf8');
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      return Object.prototype.hasOwnProperty.call(fields, key) ? escapeHtml(fields[key]) : match;
+    });
+  }
+}
+
+module.exports = CoverPageRenderer;
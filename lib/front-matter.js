@@ -0,0 +1,80 @@
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Front matter keys copied into the `document` config block
+const DOCUMENT_KEYS = ['title', 'author', 'subject', 'keywords', 'language'];
+
+// Config sections that may be switched on with a plain boolean
+const TOGGLE_KEYS = ['toc', 'outline', 'coverPage', 'header', 'footer'];
+
+// Split a leading YAML block from the Markdown. lineOffset is the number of
+// lines removed so later messages can point at the original source lines.
+function parseFrontMatter(source, fileName = 'document') {
+  const match = source.match(FRONT_MATTER_PATTERN);
+
+  if (!match) {
+    return { data: {}, content: source, lineOffset: 0 };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '') || {};
+  } catch (error) {
+    throw new Error(`Invalid front matter in ${fileName}: ${error.message}`);
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid front matter in ${fileName}: expected key/value pairs`);
+  }
+
+  return {
+    data,
+    content: source.slice(match[0].length),
+    lineOffset: match[0].split('\n').length - 1
+  };
+}
+
+// Map front matter onto the config structure. Document fields and theme
+// names have shorthands; any other key that names a config setting is copied
+// as written, with objects merged over document fields set above.
+function frontMatterToConfig(data, knownSections = []) {
+  const config = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    if (DOCUMENT_KEYS.includes(key)) {
+      config.document = { ...config.document, [key]: value };
+    } else if (key === 'theme') {
+      config.theme = typeof value === 'string' ? { name: value } : value;
+    } else if (TOGGLE_KEYS.includes(key) && typeof value === 'boolean') {
+      config[key] = { enabled: value };
+    } else if (key === 'paginated' && typeof value === 'boolean') {
+      config.page = { ...config.page, mode: value ? 'paginated' : 'infinite' };
+    } else if (knownSections.includes(key)) {
+      // Objects merge with anything set above; arrays and scalars such as
+      // `styles: [extra.css]` or `strict: true` are taken as written
+      config[key] = isPlainObject(value) && isPlainObject(config[key])
+        ? mergeObjects(config[key], value)
+        : value;
+    }
+  }
+
+  return config;
+}
+
+function mergeObjects(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeObjects(result[key], value) : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  parseFrontMatter,
+  frontMatterToConfig
+};
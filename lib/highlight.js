@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const hljs = require('highlight.js');
+const { escapeHtml } = require('./utils');
+
+class CodeHighlighter {
+  constructor(config, logger = console) {
+    this.config = config;
+    this.logger = logger;
+    this.palettes = new Map();
+    this.loadPalettes();
+  }
+
+  loadPalettes() {
+    const palettesDir = path.join(__dirname, '../config/highlight');
+    if (!fs.existsSync(palettesDir)) return;
+
+    for (const file of fs.readdirSync(palettesDir).filter(f => f.endsWith('.json'))) {
+      try {
+        const palette = JSON.parse(fs.readFileSync(path.join(palettesDir, file), 'utf8'));
+        this.palettes.set(palette.name, palette);
+      } catch (error) {
+        this.logger.warn(`Warning: Could not load highlight theme ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  getAvailableThemes() {
+    return ['none', ...this.palettes.keys()];
+  }
+
+  isEnabled() {
+    return this.config.code.highlightTheme !== 'none';
+  }
+
+  getPalette() {
+    const name = this.config.code.highlightTheme || 'default';
+    const palette = this.palettes.get(name);
+
+    if (!palette) {
+      if (!this.warnedMissingTheme) {
+        this.logger.warn(`Warning: Highlight theme '${name}' not found. Using default highlight theme.`);
+        this.warnedMissingTheme = true;
+      }
+      return this.palettes.get('default') || { tokens: {} };
+    }
+
+    return palette;
+  }
+
+  // Returns escaped HTML; unknown languages are left unhighlighted
+  highlight(code, language) {
+    if (!this.isEnabled() || !language || !hljs.getLanguage(language)) {
+      return escapeHtml(code);
+    }
+
+    try {
+      return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    } catch (error) {
+      return escapeHtml(code);
+    }
+  }
+
+  // Parse a fence info string such as: js {3-5} showLineNumbers title="app.js"
+  parseFenceInfo(infostring = '') {
+    const [, language = '', meta = ''] = infostring.trim().match(/^(\S*)\s*(.*)$/) || [];
+    const info = {
+      language,
+      lineNumbers: Boolean(this.config.code.lineNumbers),
+      startLine: 1,
+      highlightLines: new Set(),
+      title: ''
+    };
+
+    const ranges = meta.match(/\{([\d\s,-]+)\}/);
+    if (ranges) {
+      for (const part of ranges[1].split(',')) {
+        const [start, end = start] = part.trim().split('-').map(n => parseInt(n, 10));
+        if (Number.isNaN(start) || Number.isNaN(end)) continue;
+        for (let line = start; line <= end; line++) {
+          info.highlightLines.add(line);
+        }
+      }
+    }
+
+    const lineNumbers = meta.match(/(?:^|\s)showLineNumbers(?:=(\d+))?(?=\s|$)/);
+    if (lineNumbers) {
+      info.lineNumbers = true;
+      info.startLine = lineNumbers[1] ? parseInt(lineNumbers[1], 10) : 1;
+    }
+    if (/(?:^|\s)noLineNumbers(?=\s|$)/.test(meta)) {
+      info.lineNumbers = false;
+    }
+
+    const title = meta.match(/(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+    if (title) {
+      info.title = title[1] || title[2] || title[3] || '';
+    }
+
+    return info;
+  }
+
+  // Render a complete fenced code block with optional caption, line
+  // numbers and highlighted lines. Highlighted line ranges use the
+  // displayed line numbers.
+  renderCodeBlock(code, infostring) {
+    const info = this.parseFenceInfo(infostring);
+    const highlighted = this.highlight(code, info.language);
+    const classAttr = `hljs${info.language ? ` language-${escapeHtml(info.language)}` : ''}`;
+
+    let body = highlighted;
+    if (info.lineNumbers || info.highlightLines.size > 0) {
+      body = splitHighlightedLines(highlighted)
+        .map((line, index) => {
+          const lineNumber = info.startLine + index;
+          const classes = info.highlightLines.has(lineNumber) ? 'code-line highlighted' : 'code-line';
+          return `<span class="${classes}" data-line="${lineNumber}">${line}</span>`;
+        })
+        .join('');
+    }
+
+    const pre = `<pre${info.lineNumbers ? ' class="line-numbers"' : ''}><code class="${classAttr}">${body}</code></pre>`;
+
+    if (!info.title) {
+      return pre;
+    }
+
+    return `<figure class="code-block"><figcaption class="code-title">${escapeHtml(info.title)}</figcaption>${pre}</figure>`;
+  }
+
+  // Palette values may reference document theme colours as "theme.<key>"
+  resolveColor(value) {
+    const colors = this.config.theme.colors;
+
+    if (typeof value === 'string' && value.startsWith('theme.')) {
+      const key = value.slice('theme.'.length);
+      return colors[key] || (key === 'codeText' ? colors.text : colors.secondary);
+    }
+
+    return value;
+  }
+
+  generateCSS() {
+    const palette = this.isEnabled() ? this.getPalette() : {};
+    const colors = this.config.theme.colors;
+
+    return `
+    /* Code block captions, line numbers and highlighted lines */
+    .code-block {
+      margin: 1em 0;
+    }
+
+    .code-block pre {
+      margin: 0;
+      border-top-left-radius: 0;
+      border-top-right-radius: 0;
+    }
+
+    .code-title {
+      padding: 0.4em 1em;
+      background: ${colors.border};
+      border: 1px solid ${colors.border};
+      border-bottom: none;
+      border-radius: 6px 6px 0 0;
+      font-family: ${this.config.code.fontFamily};
+      font-size: ${this.config.code.fontSize};
+      font-weight: 600;
+      color: ${colors.codeText || colors.text};
+    }
+
+    pre code .code-line {
+      display: block;
+      min-height: 1.4em;
+    }
+
+    pre code .code-line.highlighted {
+      margin: 0 -1em;
+      padding: 0 1em;
+      background: ${this.resolveColor(palette.lineHighlight) || 'rgba(255, 208, 0, 0.2)'};
+    }
+
+    pre.line-numbers code .code-line::before {
+      content: attr(data-line);
+      display: inline-block;
+      width: 2.5em;
+      margin-right: 1em;
+      padding-right: 0.5em;
+      border-right: 1px solid ${colors.border};
+      text-align: right;
+      color: ${this.resolveColor(palette.lineNumber) || '#8c959f'};
+    }
+    ${this.isEnabled() ? this.generatePaletteCSS(palette) : ''}
+    `;
+  }
+
+  generatePaletteCSS(palette) {
+    const tokenStyles = Object.entries(palette.tokens || {})
+      .map(([token, color]) => `.hljs-${token} { color: ${this.resolveColor(color)}; }`)
+      .join('\n    ');
+
+    return `
+    /* Syntax highlighting (${palette.name || 'default'}) */
+    ${palette.background ? `
+    pre {
+      background: ${this.resolveColor(palette.background)};
+    }
+    ` : ''}
+    ${palette.text ? `
+    pre code {
+      color: ${this.resolveColor(palette.text)};
+    }
+    ` : ''}
+    ${tokenStyles}
+    .hljs-comment, .hljs-quote { font-style: italic; }
+    .hljs-keyword, .hljs-selector-tag, .hljs-section, .hljs-title { font-weight: 600; }
+    .hljs-addition { background: rgba(46, 160, 67, 0.15); }
+    .hljs-deletion { background: rgba(248, 81, 73, 0.15); }
+    `;
+  }
+}
+
+// Split highlighted HTML into lines, closing spans that cross a line break
+// and reopening them on the next line so every line is well-formed
+function splitHighlightedLines(html) {
+  const lines = [];
+  const openTags = [];
+  let current = '';
+
+  for (const [token] of html.matchAll(/<span[^>]*>|<\/span>|\n|[^<\n]+/g)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(openTags.length));
+      current = openTags.join('');
+    } else if (token === '</span>') {
+      openTags.pop();
+      current += token;
+    } else if (token.startsWith('<span')) {
+      openTags.push(token);
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+
+  lines.push(current);
+  return lines;
+}
+
+module.exports = CodeHighlighter;
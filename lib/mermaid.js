@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Mermaid bundles are a few MB, so read each one only once per process
+const scriptCache = new Map();
+
+class MermaidRenderer {
+  constructor(config) {
+    this.config = config;
+  }
+
+  // Use the configured script if set, otherwise the bundled mermaid package
+  resolveScriptPath() {
+    const { scriptPath } = this.config.mermaid;
+
+    if (scriptPath) {
+      const resolvedPath = path.resolve(process.cwd(), scriptPath);
+      if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Mermaid script not found: ${resolvedPath}`);
+      }
+      return resolvedPath;
+    }
+
+    try {
+      return require.resolve('mermaid/dist/mermaid.min.js');
+    } catch (error) {
+      throw new Error('Mermaid package not found. Run: npm install mermaid, or set mermaid.scriptPath in your config');
+    }
+  }
+
+  getScript() {
+    const scriptPath = this.resolveScriptPath();
+
+    if (!scriptCache.has(scriptPath)) {
+      scriptCache.set(scriptPath, fs.readFileSync(scriptPath, 'utf8'));
+    }
+
+    return scriptCache.get(scriptPath);
+  }
+
+  // Find ```mermaid fences with their 1-based source lines, in document
+  // order. Fences inside other code blocks are skipped, and block quote or
+  // list markers in front of a fence are ignored.
+  static findBlocks(markdown) {
+    const blocks = [];
+    let openFence = null;
+
+    markdown.split('\n').forEach((line, index) => {
+      const text = line.replace(/^(?:\s*>)*\s*(?:(?:[-*+]|\d+[.)])\s+)?/, '');
+      const fence = text.match(/^(`{3,}|~{3,})([^`]*)$/);
+      if (!fence) return;
+
+      if (openFence) {
+        if (fence[1][0] === openFence[0] && fence[1].length >= openFence.length && !fence[2].trim()) {
+          openFence = null;
+        }
+        return;
+      }
+
+      openFence = fence[1];
+      const info = fence[2].trim();
+      if (/^mermaid(?:\s|$)/.test(info)) {
+        blocks.push({ line: index + 1, id: MermaidRenderer.parseDiagramId(info) });
+      }
+    });
+
+    return blocks;
+  }
+
+  // ```mermaid id=login-flow names the diagram when it is exported; null
+  // when the fence has no (or an empty) id
+  static parseDiagramId(infostring = '') {
+    const match = infostring.match(/(?:^|\s)id=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+    if (!match) return null;
+    const id = (match[1] ?? match[2] ?? match[3]).replace(/[^\w.-]+/g, '-');
+    return id || null;
+  }
+
+  // Inline the library so the page never has to reach the network
+  generateScriptTag() {
+    const script = this.getScript().replace(/<\/script/gi, '<\\/script');
+    return `<script>${script}</script>`;
+  }
+}
+
+module.exports = MermaidRenderer;
@@ -0,0 +1,81 @@
+// Paper sizes in millimetres (portrait width x height)
+const PAGE_FORMATS = {
+  a3: [297, 420],
+  a4: [210, 297],
+  a5: [148, 210],
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  tabloid: [279.4, 431.8]
+};
+
+const MM_PER_UNIT = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+  px: 25.4 / 96
+};
+
+// At 96 DPI: 1px = 0.264583mm
+const MM_PER_PX = MM_PER_UNIT.px;
+
+function isPaginated(pageConfig) {
+  return pageConfig.mode === 'paginated';
+}
+
+// Convert a CSS length ("20mm", "1in", "12pt", 40) to millimetres
+function toMillimetres(value) {
+  if (typeof value === 'number') return value * MM_PER_PX;
+
+  const match = String(value).trim().match(/^(-?\d*\.?\d+)\s*(mm|cm|in|pt|pc|px)?$/i);
+  if (!match) return 0;
+
+  const unit = (match[2] || 'px').toLowerCase();
+  return parseFloat(match[1]) * MM_PER_UNIT[unit];
+}
+
+// Physical page size in millimetres. Infinite-scroll pages have no fixed
+// height, so the nominal A4 height is used for page estimates. An unknown
+// format is reported only when a logger is passed, so the converter can
+// warn once per document however often the size is looked up.
+function getPageDimensions(pageConfig, logger) {
+  if (!isPaginated(pageConfig)) {
+    return {
+      width: toMillimetres(pageConfig.width) || PAGE_FORMATS.a4[0],
+      height: PAGE_FORMATS.a4[1]
+    };
+  }
+
+  const formatKey = String(pageConfig.format || 'A4').toLowerCase();
+  let size = PAGE_FORMATS[formatKey];
+  if (!size) {
+    if (logger) logger.warn(`Warning: Unknown page format '${pageConfig.format}'. Using A4.`);
+    size = PAGE_FORMATS.a4;
+  }
+
+  const [width, height] = size;
+  return pageConfig.orientation === 'landscape'
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+// Height of the printable area of one page, in CSS pixels
+function getContentHeightPx(pageConfig) {
+  const { height } = getPageDimensions(pageConfig);
+  const margins = pageConfig.margins || {};
+  const contentHeight = isPaginated(pageConfig)
+    ? height - toMillimetres(margins.top || 0) - toMillimetres(margins.bottom || 0)
+    : height;
+
+  return contentHeight / MM_PER_PX;
+}
+
+module.exports = {
+  PAGE_FORMATS,
+  MM_PER_PX,
+  isPaginated,
+  toMillimetres,
+  getPageDimensions,
+  getContentHeightPx
+};
@@ -0,0 +1,258 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFString,
+  PDFHexString
+} = require('pdf-lib');
+
+// Chromium writes a named destination for every in-document link target.
+// Reading them back gives the real page of each heading after layout.
+async function getNamedDestinations(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  return {
+    pageCount: pdfDoc.getPageCount(),
+    destinations: readNamedDestinations(pdfDoc)
+  };
+}
+
+function readNamedDestinations(pdfDoc) {
+  const destinations = new Map();
+  const pageIndexByRef = new Map(
+    pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+
+  const addDestination = (name, value) => {
+    let destArray = value instanceof PDFRef ? pdfDoc.context.lookup(value) : value;
+    if (destArray instanceof PDFDict) {
+      destArray = destArray.lookup(PDFName.of('D'));
+    }
+    if (!(destArray instanceof PDFArray) || destArray.size() === 0) return;
+
+    const pageRef = destArray.get(0);
+    const pageIndex = pageIndexByRef.get(pageRef.toString());
+    if (pageIndex === undefined) return;
+
+    const coordinate = (index) => {
+      const number = destArray.lookup(index);
+      return number instanceof PDFNumber ? number.asNumber() : null;
+    };
+
+    destinations.set(name, { pageIndex, left: coordinate(2), top: coordinate(3) });
+  };
+
+  // PDF 1.1 style /Dests dictionary in the catalog
+  const destsDict = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (destsDict instanceof PDFDict) {
+    for (const [key, value] of destsDict.entries()) {
+      addDestination(key.decodeText(), value);
+    }
+  }
+
+  // PDF 1.2+ /Names name tree
+  const namesDict = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const destsTree = namesDict instanceof PDFDict ? namesDict.lookup(PDFName.of('Dests')) : null;
+  const walkNameTree = (node) => {
+    if (!(node instanceof PDFDict)) return;
+
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        const key = names.lookup(i);
+        if (key instanceof PDFString || key instanceof PDFHexString) {
+          addDestination(key.decodeText(), names.get(i + 1));
+        }
+      }
+    }
+
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        walkNameTree(kids.lookup(i));
+      }
+    }
+  };
+  walkNameTree(destsTree);
+
+  return destinations;
+}
+
+// Write destinations back as a catalog /Dests dictionary so internal
+// links keep working after pages are copied between documents
+function setNamedDestinations(pdfDoc, destinations) {
+  const pages = pdfDoc.getPages();
+  const destsDict = pdfDoc.context.obj({});
+
+  for (const [name, { pageIndex, left, top }] of destinations) {
+    const page = pages[pageIndex];
+    if (!page) continue;
+
+    const destArray = pdfDoc.context.obj([
+      page.ref,
+      PDFName.of('XYZ'),
+      left === null ? null : left,
+      top === null ? null : top,
+      null
+    ]);
+    destsDict.set(PDFName.of(name), destArray);
+  }
+
+  pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.register(destsDict));
+}
+
+// Write document metadata into the PDF info dictionary and an XMP stream
+async function applyMetadata(pdfBytes, metadata) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const keywords = normalizeKeywords(metadata.keywords);
+  const creationDate = metadata.creationDate || new Date();
+
+  if (metadata.title) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) pdfDoc.setAuthor(metadata.author);
+  if (metadata.subject) pdfDoc.setSubject(metadata.subject);
+  if (keywords.length > 0) pdfDoc.setKeywords([keywords.join(', ')]);
+  if (metadata.language) pdfDoc.setLanguage(metadata.language);
+  if (metadata.creator) pdfDoc.setCreator(metadata.creator);
+  if (metadata.producer) pdfDoc.setProducer(metadata.producer);
+  pdfDoc.setCreationDate(creationDate);
+  pdfDoc.setModificationDate(creationDate);
+
+  const xmp = buildXmpPacket({ ...metadata, keywords, creationDate });
+  // XMP must be UTF-8; a plain string would be written as Latin-1
+  const metadataStream = pdfDoc.context.stream(Buffer.from(xmp, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadataStream));
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+function normalizeKeywords(keywords) {
+  if (!keywords) return [];
+  const list = Array.isArray(keywords) ? keywords : String(keywords).split(',');
+  return list.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+function buildXmpPacket({ title, author, subject, keywords, language, creator, producer, creationDate }) {
+  const xml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const date = creationDate.toISOString();
+  const fields = [
+    title && `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${xml(title)}</rdf:li></rdf:Alt></dc:title>`,
+    author && `<dc:creator><rdf:Seq><rdf:li>${xml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+    subject && `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${xml(subject)}</rdf:li></rdf:Alt></dc:description>`,
+    keywords.length > 0 && `<dc:subject><rdf:Bag>${keywords.map(keyword => `<rdf:li>${xml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`,
+    language && `<dc:language><rdf:Bag><rdf:li>${xml(language)}</rdf:li></rdf:Bag></dc:language>`,
+    keywords.length > 0 && `<pdf:Keywords>${xml(keywords.join(', '))}</pdf:Keywords>`,
+    producer && `<pdf:Producer>${xml(producer)}</pdf:Producer>`,
+    creator && `<xmp:CreatorTool>${xml(creator)}</xmp:CreatorTool>`,
+    `<xmp:CreateDate>${date}</xmp:CreateDate>`,
+    `<xmp:ModifyDate>${date}</xmp:ModifyDate>`,
+    `<xmp:MetadataDate>${date}</xmp:MetadataDate>`
+  ].filter(Boolean);
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:dc="http://purl.org/dc/elements/1.1/"
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      ${fields.join('\n      ')}
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// Add a bookmark outline. Each item is { title, pageIndex, top, children }
+// with top in PDF points from the bottom of the page.
+async function addOutline(pdfBytes, items) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+
+  if (items.length === 0 || pages.length === 0) {
+    return Buffer.from(pdfBytes);
+  }
+
+  const outlinesRef = context.nextRef();
+
+  // Every item is left open, so Count is the number of descendants
+  const countDescendants = (nodes) => nodes.reduce(
+    (total, node) => total + 1 + countDescendants(node.children),
+    0
+  );
+
+  const addItems = (nodes, parentRef) => {
+    const refs = nodes.map(() => context.nextRef());
+
+    nodes.forEach((node, index) => {
+      const page = pages[Math.min(Math.max(node.pageIndex, 0), pages.length - 1)];
+      const item = context.obj({
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: [page.ref, PDFName.of('XYZ'), null, node.top === null ? null : node.top, null]
+      });
+
+      if (index > 0) item.set(PDFName.of('Prev'), refs[index - 1]);
+      if (index < refs.length - 1) item.set(PDFName.of('Next'), refs[index + 1]);
+
+      if (node.children.length > 0) {
+        const childRefs = addItems(node.children, refs[index]);
+        item.set(PDFName.of('First'), childRefs[0]);
+        item.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        item.set(PDFName.of('Count'), PDFNumber.of(countDescendants(node.children)));
+      }
+
+      context.assign(refs[index], item);
+    });
+
+    return refs;
+  };
+
+  const topRefs = addItems(items, outlinesRef);
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: countDescendants(items)
+  }));
+
+  pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+// Concatenate PDF buffers in order, restoring shared named destinations
+async function mergePdfs(pdfBuffers, destinations = new Map()) {
+  const merged = await PDFDocument.create();
+
+  for (const buffer of pdfBuffers) {
+    const source = await PDFDocument.load(buffer);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  if (destinations.size > 0) {
+    setNamedDestinations(merged, destinations);
+  }
+
+  return Buffer.from(await merged.save());
+}
+
+module.exports = {
+  getNamedDestinations,
+  readNamedDestinations,
+  setNamedDestinations,
+  applyMetadata,
+  addOutline,
+  mergePdfs
+};
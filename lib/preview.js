@@ -0,0 +1,155 @@
+const http = require('http');
+const ThemeEngine = require('./theme');
+const { renderDocument } = require('./converter');
+const { locateBookLine } = require('./book');
+const { escapeHtml } = require('./utils');
+
+const EVENTS_PATH = '/__md2pdf/events';
+
+// Reloads the page when the server sends a reload event. The scroll
+// position is kept across reloads, and restored only once Mermaid has
+// rendered, since diagrams change the page height.
+const CLIENT_SCRIPT = `
+<script>
+  (function() {
+    var key = 'md2pdf-preview-scroll';
+    var saved = sessionStorage.getItem(key);
+    history.scrollRestoration = 'manual';
+
+    if (saved !== null) {
+      sessionStorage.removeItem(key);
+      var attempts = 0;
+      var restore = function() {
+        var pending = document.querySelector('.mermaid') && !window.mermaidRenderingComplete;
+        if (pending && attempts++ < 100) {
+          setTimeout(restore, 50);
+          return;
+        }
+        window.scrollTo(0, Number(saved));
+      };
+      window.addEventListener('load', restore);
+    }
+
+    var events = new EventSource('${EVENTS_PATH}');
+    events.addEventListener('reload', function() {
+      sessionStorage.setItem(key, String(window.scrollY));
+      location.reload();
+    });
+  })();
+</script>`;
+
+// Serves the themed HTML of one document on localhost and tells open pages
+// to reload over server-sent events. The caller decides when to re-render,
+// so the server itself does not watch files.
+class PreviewServer {
+  // options: input, book, basePath and logger as for convert()
+  constructor(options = {}) {
+    this.options = options;
+    this.html = '';
+    this.clients = new Set();
+    this.server = null;
+  }
+
+  // Render the document for the next request. Returns the files it read
+  // and its problems (missing images, broken links), which the caller
+  // reports. On failure the error is shown in the page, so the preview
+  // recovers as soon as the source is fixed, and then rethrown.
+  render(config) {
+    try {
+      const rendered = renderDocument({ ...this.options, config });
+      this.html = injectPreview(rendered.html, new ThemeEngine(rendered.config));
+      if (rendered.book) {
+        // Report lines in the chapter files rather than the assembled book
+        rendered.problems.forEach(problem => Object.assign(problem, locateBookLine(rendered.book, problem.line)));
+      }
+      return { files: rendered.files, problems: rendered.problems };
+    } catch (error) {
+      this.html = errorPage(error);
+      throw error;
+    }
+  }
+
+  reload() {
+    for (const response of this.clients) {
+      response.write('event: reload\ndata: {}\n\n');
+    }
+  }
+
+  listen(port = 3000, host = 'localhost') {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(`http://${host}:${this.server.address().port}/`);
+      });
+    });
+  }
+
+  handleRequest(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname === EVENTS_PATH) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      response.write(': connected\n\n');
+      this.clients.add(response);
+      request.on('close', () => this.clients.delete(response));
+      return;
+    }
+
+    if (pathname === '/' || pathname === '/index.html') {
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      response.end(this.html);
+      return;
+    }
+
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('Not found');
+  }
+
+  close() {
+    for (const response of this.clients) {
+      response.end();
+    }
+    this.clients.clear();
+
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+// Screen layout as in HTML output, without the print-only header, footer
+// and TOC page numbers
+function injectPreview(html, themeEngine) {
+  const style = `<style>
+    ${themeEngine.generateScreenCSS()}
+    body > .header, body > .footer, .toc .page-number { display: none; }
+  </style>`;
+
+  return html
+    .replace('</head>', `${style}\n</head>`)
+    .replace(/<\/body>(?![\s\S]*<\/body>)/, `${CLIENT_SCRIPT}\n</body>`);
+}
+
+function errorPage(error) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>md2pdf preview: error</title>
+</head>
+<body style="font-family: sans-serif; margin: 2em;">
+  <h1 style="color: #b91c1c;">Could not render the document</h1>
+  <pre style="white-space: pre-wrap;">${escapeHtml(error.message)}</pre>
+  ${CLIENT_SCRIPT}
+</body>
+</html>
+`;
+}
+
+module.exports = PreviewServer;
@@ -0,0 +1,153 @@
+// A small validator for the subset of JSON Schema used by config/schema.json:
+// type, enum, properties, additionalProperties, items, minimum, maximum,
+// local $ref and the custom length formats below
+
+const ABSOLUTE_LENGTH = /^(?:0|-?\d*\.?\d+(?:mm|cm|in|pt|pc|px))$/;
+const CSS_LENGTH = /^(?:0|-?\d*\.?\d+(?:mm|cm|in|pt|pc|px|em|rem|ex|ch|%|vw|vh))$/;
+
+const FORMATS = {
+  'page-length': {
+    test: value => ABSOLUTE_LENGTH.test(value.trim()),
+    hint: 'an absolute length such as 20mm, 1in, 72pt or 96px'
+  },
+  'page-height': {
+    test: value => value === 'auto' || ABSOLUTE_LENGTH.test(value.trim()),
+    hint: '"auto" or an absolute length such as 297mm'
+  },
+  'css-length': {
+    test: value => CSS_LENGTH.test(value.trim()),
+    hint: 'a CSS length such as 11pt, 0.9em or 16px'
+  }
+};
+
+// Returns a list of { path, message }; an empty list means the value is valid
+function validate(value, schema, rootSchema = schema, path = '') {
+  if (schema.$ref) {
+    return validate(value, resolveRef(schema.$ref, rootSchema), rootSchema, path);
+  }
+
+  const label = path || '(root)';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: label, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` }];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: label, message: `expected ${types.join(' or ')}, got ${describeType(value)}` }];
+    }
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string' && schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    errors.push({ path: label, message: `${JSON.stringify(value)} is not valid; use ${FORMATS[schema.format].hint}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: label, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: label, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, rootSchema, `${path}[${index}]`));
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${key}` : key;
+
+      if (properties[key]) {
+        errors.push(...validate(propertyValue, properties[key], rootSchema, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        errors.push({
+          path: propertyPath,
+          message: `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validate(propertyValue, schema.additionalProperties, rootSchema, propertyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], rootSchema);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  if (typeof value === 'number' && !Number.isInteger(value)) return `number ${value}`;
+  return typeof value === 'string' ? `string ${JSON.stringify(value)}` : typeof value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Closest known key within a small edit distance, for typo hints
+function suggestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+module.exports = {
+  validate,
+  FORMATS
+};
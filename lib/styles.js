@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { isExternalUrl, toDataUri } = require('./utils');
+
+const IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?\s*([^;]*);/g;
+const URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+// User stylesheets from the `styles` config array and --css, appended
+// after the theme so they can override any rule
+class StylesheetLoader {
+  constructor(config, logger = console) {
+    this.config = config;
+    this.logger = logger;
+    // Every stylesheet and referenced file read, for watch mode
+    this.files = new Set();
+  }
+
+  generateCSS() {
+    const css = (this.config.styles || [])
+      .map(stylesheet => {
+        const stylesheetPath = path.resolve(process.cwd(), stylesheet);
+        const content = this.loadStylesheet(stylesheetPath, []);
+        return content === null ? '' : `/* ${stylesheet} */\n${content}`;
+      })
+      .join('\n');
+
+    // Remote @imports are ignored unless they come before every other rule
+    const remoteImports = [];
+    const rules = css.replace(IMPORT_PATTERN, (match) => {
+      remoteImports.push(match);
+      return '';
+    });
+
+    return [...remoteImports, rules].join('\n');
+  }
+
+  // Local @imports are inlined and local url() references embedded, since
+  // the page is loaded without a base URL
+  loadStylesheet(stylesheetPath, importChain) {
+    this.files.add(stylesheetPath);
+    if (!fs.existsSync(stylesheetPath)) {
+      this.logger.warn(`Warning: Stylesheet not found: ${stylesheetPath}`);
+      return null;
+    }
+
+    if (importChain.includes(stylesheetPath)) {
+      this.logger.warn(`Warning: Skipping circular @import of ${stylesheetPath}`);
+      return null;
+    }
+
+    const baseDir = path.dirname(stylesheetPath);
+    const chain = [...importChain, stylesheetPath];
+    const css = fs.readFileSync(stylesheetPath, 'utf8');
+
+    return css
+      .replace(IMPORT_PATTERN, (match, quote, href, media) => {
+        if (isExternalUrl(href)) return match;
+
+        const imported = this.loadStylesheet(path.resolve(baseDir, href), chain);
+        if (imported === null) return '';
+        return media.trim() ? `@media ${media.trim()} {\n${imported}\n}` : imported;
+      })
+      .replace(URL_PATTERN, (match, quote, href) => {
+        if (isExternalUrl(href) || href.startsWith('#')) return match;
+
+        const assetPath = path.resolve(baseDir, href.replace(/[?#].*$/, ''));
+        this.files.add(assetPath);
+        if (!fs.existsSync(assetPath)) {
+          this.logger.warn(`Warning: File referenced from ${stylesheetPath} not found: ${href}`);
+          return match;
+        }
+        return `url("${toDataUri(assetPath)}")`;
+      });
+  }
+}
+
+module.exports = StylesheetLoader;
@@ -1,3 +1,6 @@
+const { isPaginated, getPageDimensions } = require('./page');
+const { escapeHtml } = require('./utils');
+
 class ThemeEngine {
   constructor(config) {
     this.config = config;
@@ -11,24 +14,9 @@ class ThemeEngine {
     const headings = theme.headings || {};
 
     return `
-    @page {
-      size: ${this.config.page.width} ${this.config.page.height};
-      margin: 0;
-    }
-    
-    * {
-      page-break-inside: auto !important;
-      page-break-after: auto !important;
-      page-break-before: auto !important;
-      break-inside: auto !important;
-      break-after: auto !important;
-      break-before: auto !important;
-    }
+    ${this.generatePageCSS()}
     
     body {
-      width: ${this.config.page.width};
-      margin: 0;
-      padding: ${this.config.page.margins.top} ${this.config.page.margins.right} ${this.config.page.margins.bottom} ${this.config.page.margins.left};
       font-family: ${font.family};
       font-size: ${font.size};
       line-height: ${font.lineHeight};
@@ -36,7 +24,6 @@ class ThemeEngine {
       background: ${colors.background};
       box-sizing: border-box;
       overflow: visible;
-      min-height: 100vh;
     }
 
     /* Headings */
@@ -239,6 +226,103 @@ class ThemeEngine {
     `;
   }
 
+  generatePageCSS() {
+    const { page } = this.config;
+    const margins = page.margins;
+
+    if (!isPaginated(page)) {
+      return `
+    @page {
+      size: ${page.width} ${page.height};
+      margin: 0;
+    }
+    
+    * {
+      page-break-inside: auto !important;
+      page-break-after: auto !important;
+      page-break-before: auto !important;
+      break-inside: auto !important;
+      break-after: auto !important;
+      break-before: auto !important;
+    }
+
+    body {
+      width: ${page.width};
+      margin: 0;
+      padding: ${margins.top} ${margins.right} ${margins.bottom} ${margins.left};
+      min-height: 100vh;
+    }
+      `;
+    }
+
+    // Paginated output lets Chromium break pages, so margins live on @page
+    const { width, height } = getPageDimensions(page);
+    // Only top-level content breaks, so cover and TOC headings are left alone
+    const breakSelectors = page.breakBefore || [];
+    const breakBefore = breakSelectors.map(selector => `.main-content > ${selector}`).join(', ');
+
+    return `
+    @page {
+      size: ${width}mm ${height}mm;
+      margin: ${margins.top} ${margins.right} ${margins.bottom} ${margins.left};
+    }
+
+    body {
+      margin: 0;
+      padding: 0;
+    }
+
+    h1, h2, h3, h4, h5, h6 {
+      page-break-after: avoid;
+      break-after: avoid;
+    }
+
+    pre, blockquote, table, tr, img, .mermaid, .toc li {
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+
+    p, li {
+      orphans: 3;
+      widows: 3;
+    }
+
+    .page-break {
+      break-before: page;
+    }
+    ${breakBefore ? `
+    ${breakBefore} {
+      page-break-before: always;
+      break-before: page;
+    }
+
+    ${breakSelectors.map(selector => `.page-break + ${selector}`).join(', ')} {
+      page-break-before: auto;
+      break-before: auto;
+    }
+    ` : ''}
+    `;
+  }
+
+  // Used by HTML output: centre the page-width column in a browser window
+  generateScreenCSS() {
+    const { page } = this.config;
+    const { width } = getPageDimensions(page);
+    const margins = page.margins;
+
+    return `
+    @media screen {
+      body {
+        box-sizing: border-box;
+        width: auto;
+        max-width: ${width}mm;
+        margin: 0 auto;
+        padding: ${margins.top} ${margins.right} ${margins.bottom} ${margins.left};
+      }
+    }
+    `;
+  }
+
   generateHeadingStyles(headings) {
     let styles = '';
     
@@ -264,7 +348,8 @@ class ThemeEngine {
   generateHeaderFooterCSS() {
     const { header, footer } = this.config;
     
-    if (!header.enabled && !footer.enabled) {
+    // Paginated output uses Chromium's per-page templates instead
+    if ((!header.enabled && !footer.enabled) || isPaginated(this.config.page)) {
       return '';
     }
 
@@ -324,6 +409,10 @@ class ThemeEngine {
     const { header, footer } = this.config;
     let html = '';
 
+    if (isPaginated(this.config.page)) {
+      return html;
+    }
+
     if (header.enabled) {
       html += `
       <div class="header">
@@ -346,6 +435,58 @@ class ThemeEngine {
 
     return html;
   }
+
+  // True when a header or footer shows the current H1 as a running head
+  hasRunningHeads() {
+    const { header, footer } = this.config;
+    return [header, footer].some(section =>
+      section.enabled && Object.values(section.content).some(text => /\{\{sectionTitle\}\}/.test(text))
+    );
+  }
+
+  // Build a Puppeteer headerTemplate/footerTemplate for paginated output.
+  // Chromium fills .pageNumber and .totalPages on every page; the section
+  // title and a known page count are substituted before printing.
+  generatePrintTemplate(type, { sectionTitle = '', totalPages = null } = {}) {
+    const section = this.config[type];
+
+    if (!section.enabled) {
+      // An empty element stops Chromium from printing its default header
+      return '<span></span>';
+    }
+
+    const { colors, font } = this.config.theme;
+    const margins = this.config.page.margins;
+    const fill = (text) => (text || '')
+      .replace(/\{\{pageNumber\}\}/g, '<span class="pageNumber"></span>')
+      .replace(/\{\{totalPages\}\}/g, totalPages !== null ? totalPages : '<span class="totalPages"></span>')
+      .replace(/\{\{sectionTitle\}\}/g, escapeHtml(sectionTitle));
+    const border = type === 'header' ? 'border-bottom' : 'border-top';
+
+    return `
+      <style>
+        .md2pdf-${type} {
+          box-sizing: border-box;
+          display: flex;
+          flex: 1;
+          align-items: center;
+          margin: 0 ${margins.right} 0 ${margins.left};
+          padding: 2mm 0;
+          ${border}: 1px solid ${colors.border};
+          font-family: ${font.family};
+          font-size: ${section.fontSize};
+          color: ${colors.text};
+          -webkit-print-color-adjust: exact;
+        }
+        .md2pdf-${type} > div { flex: 1; }
+      </style>
+      <div class="md2pdf-${type}">
+        <div style="text-align: left;">${fill(section.content.left)}</div>
+        <div style="text-align: center;">${fill(section.content.center)}</div>
+        <div style="text-align: right;">${fill(section.content.right)}</div>
+      </div>
+    `;
+  }
 }
 
 module.exports = ThemeEngine;
\ No newline at end of file
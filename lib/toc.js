@@ -0,0 +1,92 @@
+const { escapeHtml } = require('./utils');
+
+class TocGenerator {
+  constructor(config) {
+    this.config = config;
+    this.headings = [];
+    this.slugCounts = new Map();
+  }
+
+  // Build a GitHub-style anchor slug, unique within the document. As in
+  // github-slugger, a numbered slug is skipped when another heading already
+  // has it: "Foo", "Foo", "Foo 1" become foo, foo-1, foo-1-1.
+  slugify(text) {
+    const base = String(text)
+      .toLowerCase()
+      .trim()
+      .replace(/<[^>]*>/g, '')
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-') || 'section';
+
+    let slug = base;
+    while (this.slugCounts.has(slug)) {
+      const count = this.slugCounts.get(base) + 1;
+      this.slugCounts.set(base, count);
+      slug = `${base}-${count}`;
+    }
+    this.slugCounts.set(slug, 0);
+
+    return slug;
+  }
+
+  // Record a heading while the markdown is rendered and return its anchor id
+  addHeading(text, level) {
+    const id = this.slugify(text);
+    this.headings.push({ id, text, level });
+    return id;
+  }
+
+  // Turn the flat heading list into a tree, skipping levels deeper than maxDepth
+  buildTree() {
+    return TocGenerator.buildTree(this.headings, this.config.toc.maxDepth);
+  }
+
+  // Shared with the PDF outline, which nests the same headings
+  static buildTree(headings, maxDepth = 6) {
+    const depth = maxDepth || 6;
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    for (const heading of headings) {
+      if (heading.level > depth) continue;
+
+      while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+
+      const node = { ...heading, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    }
+
+    return root.children;
+  }
+
+  generateHTML() {
+    const { toc } = this.config;
+    const tree = this.buildTree();
+
+    if (!toc.enabled || tree.length === 0) {
+      return '';
+    }
+
+    const renderList = (nodes) => `
+      <ul>
+        ${nodes.map(node => `
+        <li>
+          <a href="#${encodeURIComponent(node.id)}"><span class="toc-text">${escapeHtml(node.text)}</span><span class="page-number"></span></a>
+          ${node.children.length > 0 ? renderList(node.children) : ''}
+        </li>`).join('')}
+      </ul>`;
+
+    return `
+    <nav class="toc">
+      <h2>${escapeHtml(toc.title || 'Table of Contents')}</h2>
+      ${renderList(tree)}
+    </nav>
+    ${toc.pageBreak ? '<div class="page-break"></div>' : ''}
+    `;
+  }
+}
+
+module.exports = TocGenerator;
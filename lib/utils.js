@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.css': 'text/css'
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Remote and inline references are left alone when resolving local assets
+function isExternalUrl(url) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url) && !/^[a-z]:[\\/]/i.test(url);
+}
+
+// decodeURIComponent that keeps malformed escapes such as "100%" as written
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Read a local file into a base64 data URI so the page needs no file access
+function toDataUri(filePath) {
+  const data = fs.readFileSync(filePath);
+  return `data:${getMimeType(filePath)};base64,${data.toString('base64')}`;
+}
+
+module.exports = {
+  escapeHtml,
+  isExternalUrl,
+  safeDecode,
+  getMimeType,
+  toDataUri
+};
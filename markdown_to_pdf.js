@@ -2,60 +2,146 @@
 
 const fs = require("fs");
 const path = require("path");
-const puppeteer = require("puppeteer");
 const { program } = require("commander");
-const { marked } = require("marked");
 const inquirer = require("inquirer").default || require("inquirer");
 const chokidar = require("chokidar");
 const chalk = require("chalk");
 const ora = require("ora");
 const glob = require("glob");
-const ConfigManager = require("./lib/config");
-const ThemeEngine = require("./lib/theme");
+const { convert, formatProblems, getOutputPaths, ConfigManager, CodeHighlighter, BrowserSession, PreviewServer } = require("./index");
+const { parseFrontMatter, frontMatterToConfig } = require("./lib/front-matter");
+const { loadBookManifest } = require("./lib/book");
+const BuildCache = require("./lib/cache");
+const { getBatchOutputPath, assertNoCollisions } = require("./lib/batch");
 
 program
   .name("md2pdf")
   .description(
-    "Convert Markdown (with Mermaid) to A4-wide, single-page, infinite-scroll PDF"
+    "Convert Markdown (with Mermaid) to A4-wide, single-page, infinite-scroll or paginated PDF"
   )
   .version("1.0.0")
   .option("-i, --input <file>", "Input markdown file")
   .option("-o, --output <file>", "Output PDF file")
   .option("-c, --config <file>", "Config file path")
-  .option("-t, --theme <name>", "Theme name (github, academic, corporate)")
+  .option("-t, --theme <name>", "Theme name (github, academic, corporate) or path to a theme file")
   .option("-w, --watch", "Watch mode - regenerate PDF when markdown file changes")
   .option("-b, --batch <pattern>", "Batch process multiple files using glob pattern")
+  .option("--book <manifest>", "Combine the chapters listed in a SUMMARY.md, JSON or YAML manifest into one PDF")
+  .option("--concurrency <number>", "Number of files converted at once in batch mode")
+  .option("--force", "Convert every file in batch mode, even if it is unchanged since the last build")
+  .option("--out-dir <dir>", "Write batch output here, mirroring the source directory structure")
+  .option("--source-root <dir>", "Directory the mirrored structure starts from (default: the start of the batch pattern)")
+  .option("--output-name <template>", "Batch output path template: {{dir}}, {{name}}, {{ext}} and {{date}}")
   .option("--interactive", "Interactive mode with prompts")
   .option("--title <title>", "Document title")
   .option("--author <author>", "Document author")
   .option("--page-numbers", "Enable page numbers")
   .option("--toc", "Generate table of contents")
   .option("--cover-page", "Generate cover page")
+  .option("--paginated", "Split output into real pages using page.format and page.orientation")
+  .option("--format <format>", "Output format: pdf, html or both")
+  .option("--strict", "Fail without writing output on diagram errors, missing images or broken links")
+  .option("--export-diagrams <dir>", "Also write each Mermaid diagram as SVG and PNG with a manifest ({name} = input file name)")
+  .option("--css <file>", "Append a stylesheet after the theme CSS (repeatable)", (file, files) => [...files, file], [])
   .option("--init-config", "Create sample config file in current directory")
   .option("--list-themes", "List available themes")
-  .parse(process.argv);
+  .action(() => run(program.opts()));
+
+const configCommand = program
+  .command("config")
+  .description("Inspect the configuration");
+
+configCommand
+  .command("validate")
+  .description("Check config files and the merged configuration against the schema")
+  .action(() => validateConfig(program.opts()));
+
+configCommand
+  .command("show [file]")
+  .description("Print the resolved configuration and where each setting came from, including a document's front matter")
+  .option("--json", "Print the config and sources as JSON")
+  .action((file, commandOptions) => showConfig(program.opts(), file, commandOptions));
+
+program
+  .command("serve [file]")
+  .description("Preview a document in the browser, reloading when it or its config, theme or images change")
+  .option("--port <number>", "Port to listen on", "3000")
+  .option("--host <host>", "Host to listen on", "localhost")
+  .action((file, commandOptions) => serve(program.opts(), file, commandOptions).catch(handleFatalError));
 
-const options = program.opts();
 const configManager = new ConfigManager();
 
-// Handle special commands
-if (options.listThemes) {
-  console.log(chalk.blue('Available themes:'));
-  configManager.getAvailableThemes().forEach(theme => {
-    console.log(chalk.green(`  • ${theme}`));
-  });
-  process.exit(0);
+// Wait this long after the last file event before regenerating
+const WATCH_DEBOUNCE_MS = 300;
+
+// Warnings (missing images, broken links, diagram errors) without the
+// progress lines, for output that is not one document at a time
+const warningsOnly = { log() {}, warn: console.warn, error: console.error };
+
+function run(options) {
+  // Handle special commands
+  if (options.listThemes) {
+    console.log(chalk.blue('Available themes:'));
+    configManager.getAvailableThemes().forEach(theme => {
+      console.log(chalk.green(`  • ${theme}`));
+    });
+    console.log(chalk.blue('\nCode highlight themes (code.highlightTheme):'));
+    // Palettes do not depend on the config, so a broken config file cannot stop the list
+    new CodeHighlighter(configManager.defaultConfig).getAvailableThemes().forEach(theme => {
+      console.log(chalk.green(`  • ${theme}`));
+    });
+    process.exit(0);
+  }
+
+  if (options.initConfig) {
+    const configPath = path.join(process.cwd(), 'md2pdf.config.json');
+    if (configManager.createSampleConfig(configPath)) {
+      console.log(chalk.green(`✅ Sample config created: ${configPath}`));
+    } else {
+      console.error(chalk.red('❌ Failed to create config file'));
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  main(options).catch(handleFatalError);
 }
 
-if (options.initConfig) {
-  const configPath = path.join(process.cwd(), 'md2pdf.config.json');
-  if (configManager.createSampleConfig(configPath)) {
-    console.log(chalk.green(`✅ Sample config created: ${configPath}`));
-  } else {
-    console.error(chalk.red('❌ Failed to create config file'));
+// Validate every config file on its own, so errors point at the file that
+// caused them, then the merged result including CLI options
+function validateConfig(options) {
+  let layers;
+  try {
+    layers = configManager.getConfigLayers(options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
     process.exit(1);
   }
-  process.exit(0);
+
+  let failed = false;
+  for (const layer of layers) {
+    const errors = configManager.validateConfig(layer.config);
+    if (errors.length === 0) {
+      console.log(chalk.green(`✅ ${layer.source}`));
+      continue;
+    }
+
+    failed = true;
+    console.log(chalk.red(`❌ ${layer.source}`));
+    errors.forEach(error => console.log(chalk.red(`   ${error.path}: ${error.message}`)));
+  }
+
+  if (!failed) {
+    try {
+      configManager.getConfig(options);
+      console.log(chalk.green('\nConfiguration is valid.'));
+    } catch (error) {
+      failed = true;
+      console.error(chalk.red(`\n❌ ${error.message}`));
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
 }
 
 // Interactive mode or help when no arguments
@@ -96,25 +182,35 @@ async function runInteractiveMode() {
   return { ...answers, interactive: true };
 }
 
-async function main() {
-  // Get merged configuration
-  const config = configManager.getConfig(options);
+async function main(options) {
+  // Get merged configuration; theme and variables are resolved per document
+  // so front matter can still override them
+  const config = configManager.loadConfig(options);
   
   // Debug: show resolved footer content (optional)
-  if (config.footer?.enabled && process.env.DEBUG) {
-    console.log(chalk.gray(`Footer: "${config.footer.content.left}" | "${config.footer.content.right}"`));
+  const resolvedConfig = configManager.createConfig(config);
+  if (resolvedConfig.footer?.enabled && process.env.DEBUG) {
+    console.log(chalk.gray(`Footer: "${resolvedConfig.footer.content.left}" | "${resolvedConfig.footer.content.right}"`));
   }
   
-  let { input, output, watch, batch, interactive } = options;
+  let { input, output, watch, batch, book, interactive } = options;
   
   // If no input provided or interactive flag, run interactive mode
-  if (!input || interactive) {
+  if ((!input && !batch && !book) || interactive) {
     const interactiveOptions = await runInteractiveMode();
     input = interactiveOptions.input;
     output = interactiveOptions.output;
     watch = interactiveOptions.watch;
   }
   
+  // One browser is shared by every conversion in this run
+  const browserSession = new BrowserSession(console);
+  process.on('SIGINT', async () => {
+    console.log(chalk.blue(watch ? '\n👋 Stopping watch mode...' : '\n👋 Stopping...'));
+    await browserSession.close();
+    process.exit(0);
+  });
+  
   // Handle batch processing
   if (batch) {
     const files = glob.sync(batch);
@@ -123,16 +219,40 @@ async function main() {
       process.exit(1);
     }
     
+    let documents;
+    try {
+      documents = files.map(file => createBatchDocument(file, config, { pattern: batch, output }));
+      assertNoCollisions(documents, config.output.format);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    
     console.log(chalk.green(`Found ${files.length} files to process:`));
-    files.forEach(file => console.log(chalk.gray(`  • ${file}`)));
+    documents.forEach(document => console.log(chalk.gray(`  • ${document.input} → ${document.output}`)));
+    
+    try {
+      await runBatch(documents, config, browserSession, { force: options.force });
+    } catch (error) {
+      if (!watch) throw error;
+      if (error.code !== 'BATCH_FAILED') console.error(chalk.red(error.message));
+    } finally {
+      if (!watch) {
+        await browserSession.close();
+      }
+    }
     
-    for (const file of files) {
-      const outputFile = output || file.replace(/\.(md|markdown)$/i, '.pdf');
-      await convertMarkdownToPdf(file, outputFile, config);
+    if (watch) {
+      watchDocuments(documents, config, options, convertWith(browserSession));
     }
     return;
   }
   
+  if (book) {
+    await runBook(book, output, config, { watch, options, browserSession });
+    return;
+  }
+  
   // Validate single file input
   if (!input) {
     console.log(chalk.yellow('No input file specified. Use --help for usage information or run with --interactive'));
@@ -147,512 +267,411 @@ async function main() {
   // Remove old config validation since we're using the new config system
   
   // Set default output filename
+  const format = getDocumentFormat(input, config);
   if (!output) {
     const baseName = path.basename(input, path.extname(input));
-    output = `${baseName}.pdf`;
+    output = `${baseName}${outputExtension(format)}`;
   }
   
-  // Initial conversion
-  await convertMarkdownToPdf(input, output, config);
+  const document = createDocument(input, output, { format });
+  await buildInitial(document, config, { watch, browserSession });
   
-  // Watch mode
   if (watch) {
-    console.log(chalk.blue(`\n👀 Watching ${input} for changes... (Press Ctrl+C to stop)`));
-    
-    const watcher = chokidar.watch(input, { ignoreInitial: true });
-    watcher.on('change', async () => {
-      console.log(chalk.yellow(`\n📝 File changed, regenerating PDF...`));
-      await convertMarkdownToPdf(input, output, config);
-    });
-    
-    // Keep process alive
-    process.on('SIGINT', () => {
-      console.log(chalk.blue('\n👋 Stopping watch mode...'));
-      watcher.close();
-      process.exit(0);
-    });
+    watchDocuments([document], config, options, convertWith(browserSession));
   }
 }
 
-async function convertMarkdownToPdf(inputFile, outputFile, config) {
-  const spinner = ora(`Converting ${chalk.cyan(inputFile)} to PDF...`).start();
-  const themeEngine = new ThemeEngine(config);
-
-// HTML template with Mermaid support
-const htmlTemplate = (content) => `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>${config.document.title || 'Markdown to PDF'}</title>
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@11.5.0/dist/mermaid.min.js"></script>
-  <style>
-    ${themeEngine.generateCSS()}
-    ${themeEngine.generateHeaderFooterCSS()}
-  </style>
-</head>
-<body>
-  ${themeEngine.generateHeaderFooterHTML()}
-  <div class="main-content">
-    ${content}
-  </div>
-  <script>
-    // Initialize Mermaid with high-contrast theme for better visibility
-    mermaid.initialize({
-      startOnLoad: false,
-      theme: 'default',
-      themeVariables: {
-        // High contrast colors for better visibility
-        primaryColor: '#f0f8ff',
-        primaryTextColor: '#000000',
-        primaryBorderColor: '#1f2937',
-        lineColor: '#1f2937',
-        secondaryColor: '#e0f2fe',
-        tertiaryColor: '#fef3c7',
-        background: '#ffffff',
-        mainBkg: '#f0f8ff',
-        secondBkg: '#e0f2fe',
-        tertiaryBkg: '#fef3c7',
-        // Strong borders and text
-        nodeBorder: '#1f2937',
-        clusterBkg: '#fef3c7',
-        clusterBorder: '#d97706',
-        defaultLinkColor: '#1f2937',
-        titleColor: '#000000',
-        edgeLabelBackground: '#ffffff',
-        // Sequence diagram colors
-        actorBkg: '#f0f8ff',
-        actorBorder: '#1f2937',
-        actorTextColor: '#000000',
-        activationBorderColor: '#1f2937',
-        activationBkgColor: '#e0f2fe',
-        sequenceNumberColor: '#000000',
-        // Flowchart colors
-        nodeTextColor: '#000000',
-        // Pie chart colors
-        pie1: '#3b82f6',
-        pie2: '#10b981',
-        pie3: '#f59e0b',
-        pie4: '#ef4444',
-        pie5: '#8b5cf6',
-        pie6: '#f97316',
-        pie7: '#06b6d4',
-        pie8: '#84cc16',
-        pie9: '#ec4899',
-        pie10: '#6366f1',
-        pie11: '#14b8a6',
-        pie12: '#f43f5e'
-      },
-      flowchart: {
-        useMaxWidth: true,
-        htmlLabels: true,
-        curve: 'basis'
-      },
-      sequence: {
-        useMaxWidth: true,
-        actorMargin: 50,
-        boxMargin: 10,
-        boxTextMargin: 5,
-        noteMargin: 10,
-        messageMargin: 35
-      },
-      gantt: {
-        useMaxWidth: true
-      },
-      pie: {
-        useMaxWidth: true
-      },
-      securityLevel: 'loose'
-    });
+// Build one document from a book manifest; the manifest and every chapter
+// are part of its dependencies in watch mode
+async function runBook(manifestPath, output, config, { watch, options, browserSession }) {
+  let chapterFiles;
+  try {
+    chapterFiles = loadBookManifest(manifestPath).chapters.map(chapter => chapter.filePath);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  // SUMMARY.md names nothing useful, so the book is named after its folder
+  if (!output) {
+    const resolvedPath = path.resolve(manifestPath);
+    const baseName = /^summary\.(md|markdown)$/i.test(path.basename(resolvedPath))
+      ? path.basename(path.dirname(resolvedPath))
+      : path.basename(resolvedPath, path.extname(resolvedPath));
+    output = `${baseName}${outputExtension(config.output.format)}`;
+  }
+
+  console.log(chalk.green(`Book with ${chapterFiles.length} chapters:`));
+  chapterFiles.forEach(file => console.log(chalk.gray(`  • ${path.relative(process.cwd(), file)}`)));
+
+  const document = createDocument(manifestPath, output, { book: true });
+  chapterFiles.forEach(file => document.dependencies.add(file));
+  await buildInitial(document, config, { watch, browserSession });
 
-    // Function to render all Mermaid diagrams
-    async function renderMermaidDiagrams() {
-      const mermaidElements = document.querySelectorAll('.mermaid');
-
-      for (let i = 0; i < mermaidElements.length; i++) {
-        const element = mermaidElements[i];
-        const graphDefinition = element.textContent.trim();
-
-        if (graphDefinition) {
-          try {
-            const { svg } = await mermaid.render(\`mermaid-\${i}\`, graphDefinition);
-            element.innerHTML = svg;
-            element.setAttribute('data-rendered', 'true');
-          } catch (error) {
-            console.error('Mermaid rendering error:', error);
-            element.innerHTML = \`<div style="color: red; border: 1px solid red; padding: 10px;">Error rendering diagram: \${error.message}</div>\`;
-            element.setAttribute('data-rendered', 'error');
+  if (watch) {
+    watchDocuments([document], config, options, convertWith(browserSession));
+  }
+}
+
+// The first conversion of a single document or book. Outside watch mode a
+// failure ends the run; in watch mode it is fixed by editing and saving.
+async function buildInitial(document, config, { watch, browserSession }) {
+  try {
+    await buildDocument(document, config, { browserSession });
+  } catch (error) {
+    if (!watch || error.code === 'BROWSER_LAUNCH_FAILED') throw error;
+  } finally {
+    if (!watch) {
+      await browserSession.close();
+    }
+  }
+}
+
+// Convert files with a fixed number of workers sharing one browser.
+// A failed file is reported and the remaining files still run. Files whose
+// sources, referenced files and config are unchanged since the last build
+// are skipped unless force is set.
+async function runBatch(documents, config, browserSession, { force = false } = {}) {
+  const concurrency = Math.max(1, config.batch?.concurrency || 1);
+  const queue = [...documents];
+  const cache = new BuildCache();
+  const configHash = BuildCache.hashConfig(config);
+  const built = [];
+  const skipped = [];
+  const failures = [];
+
+  // Parallel conversions print one result line each instead of spinners
+  const quiet = concurrency > 1;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const document = queue.shift();
+      const outputFiles = Object.values(getOutputPaths(document.output, document.format));
+
+      if (!force && cache.isUpToDate(document.output, configHash, outputFiles)) {
+        // Watch mode needs the files it would have read
+        document.dependencies = new Set(cache.getFiles(document.output));
+        skipped.push(document.input);
+        console.log(chalk.gray(`⏭  ${document.input} is up to date`));
+        continue;
+      }
+
+      let fileHashes = null;
+      try {
+        await buildDocument(document, config, {
+          browserSession,
+          quiet,
+          // Hashed before converting, so edits made meanwhile are not missed
+          onDependencies: files => {
+            fileHashes = BuildCache.hashFiles(files);
           }
+        });
+        cache.record(document.output, configHash, fileHashes);
+        built.push(document.input);
+      } catch (error) {
+        cache.remove(document.output);
+        failures.push(document.input);
+        // Without a browser every remaining file would fail the same way
+        if (error.code === 'BROWSER_LAUNCH_FAILED') {
+          queue.length = 0;
         }
       }
     }
+  };
 
-    // Render diagrams when DOM is ready
-    document.addEventListener('DOMContentLoaded', async function() {
-      await renderMermaidDiagrams();
-      // Signal that rendering is complete
-      window.mermaidRenderingComplete = true;
-    });
-  </script>
-</body>
-</html>
-`;
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, documents.length) }, worker));
+  } finally {
+    cache.save();
+  }
+
+  const summary = `Built ${built.length}, skipped ${skipped.length} (unchanged), failed ${failures.length}`;
+  if (failures.length > 0) {
+    console.log(chalk.red(`\n${summary}`));
+    failures.forEach(file => console.log(chalk.red(`  • ${file}`)));
+    const error = new Error(`${failures.length} of ${documents.length} files failed to convert`);
+    error.code = 'BATCH_FAILED';
+    throw error;
+  }
+  console.log(chalk.green(`\n${summary}`));
+}
+
+// A document to convert, with the files it read on its last conversion.
+// Until it has been converted only the source itself is known. format is
+// the output format its file name was chosen for; it defaults to the config's.
+function createDocument(input, output, { book = false, format = null } = {}) {
+  return { input, output, book, format, dependencies: new Set([path.resolve(input)]) };
+}
 
+// A file matched by --batch, named for the output format it will be built in
+function createBatchDocument(file, config, { pattern, output }) {
+  const format = getDocumentFormat(file, config);
+  return createDocument(file, getBatchOutputPath(file, { pattern, config, output, format }), { format });
+}
+
+// Front matter outranks every config file and flag, so a document's own
+// output.format decides its file extension. A document whose front matter
+// cannot be read keeps the config's format; converting it reports the error.
+function getDocumentFormat(file, config) {
   try {
-    // Read and process markdown
-    const markdownContent = fs.readFileSync(inputFile, "utf8");
+    const { data } = parseFrontMatter(fs.readFileSync(file, 'utf8'), file);
+    const documentConfig = frontMatterToConfig(data, Object.keys(configManager.defaultConfig));
+    return (documentConfig.output && documentConfig.output.format) || config.output.format;
+  } catch (error) {
+    return config.output.format;
+  }
+}
 
-    // Configure marked with custom renderer for mermaid
-    const renderer = new marked.Renderer();
-    
-    // Override code block rendering to handle mermaid
-    renderer.code = function(code, language) {
-      if (language === 'mermaid') {
-        console.log("Creating mermaid div");
-        return `<div class="mermaid">${code}</div>`;
+async function buildDocument(document, config, { onDependencies, ...options } = {}) {
+  await convertMarkdownToPdf(document.input, document.output, config, {
+    ...options,
+    book: document.book,
+    format: document.format || config.output.format,
+    onDependencies: files => {
+      document.dependencies = new Set(files);
+      if (onDependencies) onDependencies(files);
+    }
+  });
+}
+
+// The build step for watch mode: convert and write the document
+function convertWith(browserSession) {
+  return (document, config) => buildDocument(document, config, { browserSession });
+}
+
+// Regenerate documents when any file they read changes: the Markdown,
+// images, stylesheets, theme files and, for books, the manifest and
+// chapters. A config file change reloads the config and regenerates every
+// document. With --batch, files that start matching the pattern are added.
+// build(document, config) regenerates one document and updates its
+// dependencies; errors are reported by build itself.
+function watchDocuments(documents, config, options, build) {
+  const configFiles = configManager.getConfigFiles(options);
+  const changed = new Set();
+  let timer = null;
+  let building = false;
+
+  const watchedFiles = () => [...new Set([
+    ...configFiles,
+    ...documents.flatMap(document => [...document.dependencies])
+  ])];
+
+  const watcher = chokidar.watch(watchedFiles(), { ignoreInitial: true });
+  if (options.batch) {
+    watcher.add(options.batch);
+  }
+
+  const isNewBatchFile = (filePath) => options.batch
+    && !documents.some(document => path.resolve(document.input) === filePath)
+    && glob.sync(options.batch, { absolute: true }).includes(filePath);
+
+  const rebuild = async () => {
+    timer = null;
+    // Changes made during a build are picked up once it finishes
+    if (building) return;
+    building = true;
+
+    const files = [...changed];
+    changed.clear();
+    console.log(chalk.yellow(`\n📝 Changed: ${files.map(file => path.relative(process.cwd(), file)).join(', ')}`));
+
+    try {
+      let targets = documents.filter(document => files.some(file => document.dependencies.has(file)));
+      if (files.some(file => configFiles.includes(file))) {
+        config = configManager.loadConfig(options);
+        console.log(chalk.yellow('Config reloaded, regenerating all documents...'));
+        targets = documents;
       }
-      
-      // Default code block
-      const escaped = code
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#39;");
-      
-      return `<pre><code${language ? ` class="language-${language}"` : ''}>${escaped}</code></pre>`;
-    };
-
-    marked.setOptions({
-      renderer: renderer,
-      breaks: true,
-      gfm: true,
-    });
 
-    const htmlContent = marked.parse(markdownContent);
-    
-    // Debug: check if Mermaid blocks were converted
-    const mermaidMatches = htmlContent.match(/<div class="mermaid">/g);
-    console.log(`Generated HTML contains ${mermaidMatches ? mermaidMatches.length : 0} mermaid blocks`);
-
-    // Browser detection for cross-platform support
-    async function findAvailableBrowser() {
-      const browserPaths = {
-        darwin: [
-          '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-          '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
-          '/Applications/Chromium.app/Contents/MacOS/Chromium',
-          '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser'
-        ],
-        win32: [
-          'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-          'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-          'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
-          'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe'
-        ],
-        linux: [
-          '/usr/bin/google-chrome',
-          '/usr/bin/google-chrome-stable',
-          '/usr/bin/chromium',
-          '/usr/bin/chromium-browser',
-          '/usr/bin/microsoft-edge'
-        ]
-      };
-
-      const platform = process.platform;
-      const paths = browserPaths[platform] || browserPaths.linux;
-
-      for (const browserPath of paths) {
-        if (fs.existsSync(browserPath)) {
-          console.log(`Found browser: ${path.basename(browserPath)}`);
-          return browserPath;
+      for (const document of targets) {
+        if (!fs.existsSync(document.input)) {
+          console.log(chalk.gray(`Skipping ${document.input}: file not found`));
+          continue;
+        }
+        try {
+          await build(document, config);
+        } catch (error) {
+          // Already reported; keep watching for the next change
         }
       }
-      return null;
+
+      watcher.add(watchedFiles());
+    } catch (error) {
+      // A broken config file keeps the previous config until it is fixed
+      console.error(chalk.red(error.message));
+    } finally {
+      building = false;
+      if (changed.size > 0 && !timer) {
+        timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+      }
+    }
+  };
+
+  watcher.on('all', (event, file) => {
+    if (!['add', 'change', 'unlink'].includes(event)) return;
+
+    const filePath = path.resolve(file);
+    if (event === 'add' && isNewBatchFile(filePath)) {
+      try {
+        const document = createBatchDocument(file, config, { pattern: options.batch, output: options.output });
+        assertNoCollisions([...documents, document], config.output.format);
+        documents.push(document);
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        return;
+      }
     }
 
-    let browser;
-    const detectedBrowser = await findAvailableBrowser();
-    
+    // Editors often write a file several times per save; rebuild once
+    changed.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  });
+
+  const subject = documents.length === 1 ? documents[0].input : `${documents.length} files`;
+  console.log(chalk.blue(`\n👀 Watching ${subject} with its images, stylesheets, themes and config for changes... (Press Ctrl+C to stop)`));
+
+  // Stop watching before the browser is closed on Ctrl+C
+  process.prependListener('SIGINT', () => {
+    clearTimeout(timer);
+    watcher.close();
+  });
+}
+
+// Serve the document's HTML with live reload. The same watcher as --watch
+// decides when to re-render; nothing is converted or written.
+async function serve(options, file, { port, host }) {
+  const input = file || options.input;
+  const source = options.book || input;
+  if (!source) {
+    console.error(chalk.red('Usage: md2pdf serve <file> or md2pdf serve --book <manifest>'));
+    process.exit(1);
+  }
+  if (!fs.existsSync(source)) {
+    console.error(chalk.red(`Error: Input file not found - ${source}`));
+    process.exit(1);
+  }
+
+  const config = configManager.loadConfig(options);
+  const document = createDocument(source, null, { book: Boolean(options.book) });
+  const preview = new PreviewServer({ ...(document.book ? { book: source } : { input: source }), logger: warningsOnly });
+
+  const render = async (document, config) => {
     try {
-      const launchOptions = {
-        headless: "new",
-        args: [
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-web-security"
-        ]
-      };
-
-      // Use detected browser if found, otherwise let Puppeteer use bundled Chromium
-      if (detectedBrowser) {
-        launchOptions.executablePath = detectedBrowser;
+      const { files, problems } = preview.render(config);
+      document.dependencies = new Set(files);
+      // Diagram errors need a browser and only show in the page itself
+      if (problems.length > 0) {
+        warningsOnly.warn(`Warning: Problems in ${source}:\n${formatProblems(problems, source)}`);
       }
-
-      browser = await puppeteer.launch(launchOptions);
     } catch (error) {
-      spinner.fail(`Failed to launch browser.`);
-      console.error(chalk.red(`\nError: ${error.message}`));
-      console.error(chalk.yellow(`\nTroubleshooting:`));
-      console.error(chalk.yellow(`1. Install Chrome, Edge, or Chromium`));
-      console.error(chalk.yellow(`2. Run: npm install puppeteer (to get bundled Chromium)`));
-      console.error(chalk.yellow(`3. Check: https://pptr.dev/troubleshooting`));
-      throw error;
+      console.error(chalk.red(`Error: ${error.message}`));
     }
-    const page = await browser.newPage();
+    preview.reload();
+  };
 
-    // Ensure color rendering is enabled
-    await page.emulateMediaType("print");
+  await render(document, config);
 
-    // Set content and wait for Mermaid to render
-    await page.setContent(htmlTemplate(htmlContent), {
-      waitUntil: "networkidle0",
-    });
+  let url;
+  try {
+    url = await preview.listen(parseInt(port, 10), host);
+  } catch (error) {
+    console.error(chalk.red(`Could not start the preview server on ${host}:${port}: ${error.message}`));
+    process.exit(1);
+  }
 
-    // Inject additional CSS to ensure color rendering and reduce background opacity
-    await page.addStyleTag({
-      content: `
-        * {
-          -webkit-print-color-adjust: exact !important;
-          color-adjust: exact !important;
-          print-color-adjust: exact !important;
-        }
-        .mermaid {
-          background: transparent !important;
-          padding: 5px !important;
-        }
-        .mermaid svg {
-          background: transparent !important;
-        }
-        .mermaid svg rect[fill],
-        .mermaid svg path[fill],
-        .mermaid svg circle[fill],
-        .mermaid svg polygon[fill],
-        .mermaid svg ellipse[fill] {
-          -webkit-print-color-adjust: exact !important;
-          color-adjust: exact !important;
-          print-color-adjust: exact !important;
-        }
-        /* Force specific color rendering for common Mermaid elements */
-        .mermaid svg .node rect,
-        .mermaid svg .cluster rect {
-          -webkit-print-color-adjust: exact !important;
-          color-adjust: exact !important;
-          print-color-adjust: exact !important;
-        }
-      `,
-    });
+  console.log(chalk.green(`📄 Previewing ${source} at ${chalk.cyan(url)}`));
+  watchDocuments([document], config, options, render);
 
-    // Wait a moment for CSS to apply
-    await new Promise((resolve) => setTimeout(resolve, 500));
+  process.on('SIGINT', async () => {
+    console.log(chalk.blue('\n👋 Stopping preview...'));
+    await preview.close();
+    process.exit(0);
+  });
+}
 
-    // Wait for all Mermaid diagrams to render with improved detection
-    try {
-      console.log("Checking for Mermaid diagrams...");
-
-      // Check if there are any mermaid elements
-      const mermaidCount = await page.evaluate(() => {
-        return document.querySelectorAll(".mermaid").length;
-      });
-
-      if (mermaidCount > 0) {
-        console.log(`Found ${mermaidCount} Mermaid diagrams, waiting for rendering...`);
-        
-        // Wait longer for Mermaid to load and render
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Force render any unrendered diagrams
-        await page.evaluate(async () => {
-          if (typeof mermaid !== 'undefined') {
-            const mermaidElements = document.querySelectorAll(".mermaid:not([data-rendered])");
-            for (let i = 0; i < mermaidElements.length; i++) {
-              const element = mermaidElements[i];
-              const graphDefinition = element.textContent.trim();
-              
-              if (graphDefinition) {
-                try {
-                  const { svg } = await mermaid.render(`diagram-${Date.now()}-${i}`, graphDefinition);
-                  element.innerHTML = svg;
-                  element.setAttribute('data-rendered', 'true');
-                  console.log(`Rendered diagram ${i + 1}`);
-                } catch (error) {
-                  console.error('Mermaid rendering error:', error);
-                  element.innerHTML = `<div style="color: red; border: 1px solid red; padding: 10px; border-radius: 4px;">❌ Diagram Error: ${error.message}</div>`;
-                  element.setAttribute('data-rendered', 'error');
-                }
-              }
-            }
-          }
-        });
+// HTML-only output gets an .html name; PDF and both use .pdf
+function outputExtension(format) {
+  return format === 'html' ? '.html' : '.pdf';
+}
 
-        // Wait for rendering to complete
-        await page.waitForFunction(
-          () => {
-            const mermaidElements = document.querySelectorAll(".mermaid");
-            if (mermaidElements.length === 0) return true;
-            
-            return Array.from(mermaidElements).every(element => 
-              element.hasAttribute("data-rendered")
-            );
-          },
-          { timeout: 15000, polling: 500 }
-        );
-
-        // Additional verification - count rendered diagrams
-        const diagramCount = await page.evaluate(() => {
-          const elements = document.querySelectorAll(".mermaid");
-          const rendered = document.querySelectorAll(".mermaid[data-rendered]");
-          return { total: elements.length, rendered: rendered.length };
-        });
+// With book set, inputFile is a book manifest rather than a Markdown file
+async function convertMarkdownToPdf(inputFile, outputFile, config, { browserSession, quiet = false, book = false, format = config.output.format, onDependencies } = {}) {
+  const target = { pdf: 'PDF', html: 'HTML', both: 'PDF and HTML' }[format] || 'PDF';
+  const spinner = ora(`Converting ${chalk.cyan(inputFile)} to ${target}...`);
+  if (!quiet) spinner.start();
 
-        console.log(
-          `Mermaid rendering complete: ${diagramCount.rendered}/${diagramCount.total} diagrams rendered`
-        );
-
-        // Post-process SVGs to enhance color rendering
-        await page.evaluate(() => {
-          const svgElements = document.querySelectorAll(".mermaid svg");
-          svgElements.forEach((svg) => {
-            // Force all fill attributes to be more vibrant
-            const fillElements = svg.querySelectorAll("[fill]");
-            fillElements.forEach((element) => {
-              const fill = element.getAttribute("fill");
-              if (fill && fill !== "none" && fill !== "transparent") {
-                element.style.fill = fill;
-                element.style.setProperty("fill", fill, "important");
-              }
-            });
-
-            // Force stroke colors
-            const strokeElements = svg.querySelectorAll("[stroke]");
-            strokeElements.forEach((element) => {
-              const stroke = element.getAttribute("stroke");
-              if (stroke && stroke !== "none" && stroke !== "transparent") {
-                element.style.stroke = stroke;
-                element.style.setProperty("stroke", stroke, "important");
-              }
-            });
-          });
-        });
-      } else {
-        console.log("No Mermaid diagrams found");
-      }
-    } catch (e) {
-      console.warn(
-        "Warning: Mermaid diagrams may not have fully rendered:",
-        e.message
-      );
-
-      // Fallback: try to render any remaining diagrams manually
-      await page.evaluate(async () => {
-        const unrenderedElements = document.querySelectorAll(
-          ".mermaid:not([data-rendered])"
-        );
-        console.log(
-          `Attempting to render ${unrenderedElements.length} remaining diagrams...`
-        );
-
-        for (let i = 0; i < unrenderedElements.length; i++) {
-          const element = unrenderedElements[i];
-          const graphDefinition = element.textContent.trim();
-
-          if (graphDefinition) {
-            try {
-              const { svg } = await mermaid.render(
-                `fallback-mermaid-${i}`,
-                graphDefinition
-              );
-              element.innerHTML = svg;
-              element.setAttribute("data-rendered", "true");
-            } catch (error) {
-              console.error("Fallback rendering failed:", error);
-              element.setAttribute("data-rendered", "error");
-            }
-          }
-        }
-      });
+  try {
+    const browser = browserSession ? await browserSession.getBrowser() : undefined;
+    const source = book ? { book: inputFile } : { input: inputFile };
+    await convert({ ...source, output: outputFile, format, config, browser, onDependencies, logger: quiet ? warningsOnly : console });
+    const written = Object.values(getOutputPaths(outputFile, format))
+      .map(file => chalk.green(path.resolve(file)))
+      .join(', ');
+    spinner.succeed(`${target} generated successfully: ${written}`);
+  } catch (error) {
+    if (error.code === 'BROWSER_LAUNCH_FAILED') {
+      spinner.fail(`Failed to launch browser.`);
+      console.error(chalk.red(`\nError: ${error.cause.message}`));
+      console.error(chalk.yellow(`\nTroubleshooting:`));
+      console.error(chalk.yellow(`1. Install Chrome, Edge, or Chromium`));
+      console.error(chalk.yellow(`2. Run: npm install puppeteer (to get bundled Chromium)`));
+      console.error(chalk.yellow(`3. Check: https://pptr.dev/troubleshooting`));
+    } else if (error.code === 'STRICT_CHECK_FAILED') {
+      spinner.fail(error.message);
+    } else {
+      spinner.fail(`Error generating ${target}: ${error.message}`);
+      if (!quiet) console.error(chalk.red(error.stack));
     }
+    throw error;
+  }
+}
 
-    // Calculate content height and page numbers for infinite scroll
-    const { contentHeight, pageInfo } = await page.evaluate(() => {
-      const height = Math.max(
-        document.body.scrollHeight,
-        document.body.offsetHeight,
-        document.documentElement.clientHeight,
-        document.documentElement.scrollHeight,
-        document.documentElement.offsetHeight
-      );
-      
-      // Calculate approximate pages based on A4 height (297mm ≈ 1123px at 96dpi)
-      const a4HeightPx = 1123;
-      const totalPages = Math.ceil(height / a4HeightPx);
-      
-      return {
-        contentHeight: height,
-        pageInfo: {
-          totalPages: totalPages,
-          currentPage: 1 // For infinite scroll, we treat it as one continuous page
-        }
-      };
-    });
-    
-    // Update header/footer content with page numbers
-    if (config.header.enabled || config.footer.enabled) {
-      await page.evaluate((pageInfo) => {
-        const replacements = {
-          '{{pageNumber}}': pageInfo.currentPage,
-          '{{totalPages}}': pageInfo.totalPages
-        };
-        
-        // Update header content
-        document.querySelectorAll('.header-left, .header-center, .header-right').forEach(el => {
-          let content = el.textContent;
-          for (const [placeholder, value] of Object.entries(replacements)) {
-            content = content.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-          }
-          el.textContent = content;
-        });
-        
-        // Update footer content  
-        document.querySelectorAll('.footer-left, .footer-center, .footer-right').forEach(el => {
-          let content = el.textContent;
-          for (const [placeholder, value] of Object.entries(replacements)) {
-            content = content.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-          }
-          el.textContent = content;
-        });
-      }, pageInfo);
+function showConfig(options, file, { json }) {
+  let explained;
+  try {
+    const extraLayers = [];
+    if (file) {
+      const { data } = parseFrontMatter(fs.readFileSync(file, 'utf8'), file);
+      const documentConfig = frontMatterToConfig(data, Object.keys(configManager.defaultConfig));
+      extraLayers.push({ source: `front matter of ${file}`, config: documentConfig });
     }
-    
-    // Convert pixels to mm (at 96 DPI: 1px = 0.264583mm)
-    const heightMm = Math.ceil(contentHeight * 0.264583);
-    console.log(`Content height: ${contentHeight}px = ${heightMm}mm (≈${pageInfo.totalPages} A4 pages)`);
-
-    // Generate infinite-scroll PDF with configured settings
-    await page.pdf({
-      path: outputFile,
-      printBackground: config.output.printBackground,
-      preferCSSPageSize: config.output.preferCSSPageSize,
-      width: config.page.width,
-      height: config.page.height === 'auto' ? `${heightMm}mm` : config.page.height,
-      margin: config.page.margins,
-      format: null, // Use custom dimensions
-      displayHeaderFooter: config.output.displayHeaderFooter && (config.header.enabled || config.footer.enabled),
-      omitBackground: config.output.omitBackground,
-      timeout: config.output.timeout,
-    });
-
-    await browser.close();
-    spinner.succeed(`PDF generated successfully: ${chalk.green(path.resolve(outputFile))}`);
+    explained = configManager.explainConfig(options, extraLayers);
   } catch (error) {
-    spinner.fail(`Error generating PDF: ${error.message}`);
-    console.error(chalk.red(error.stack));
-    throw error;
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+
+  const { config, sources } = explained;
+  const entries = [];
+  const flatten = (value, keyPath) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, child]) => flatten(child, keyPath ? `${keyPath}.${key}` : key));
+    } else {
+      entries.push({ key: keyPath, value, source: sources.get(keyPath) || 'defaults' });
+    }
+  };
+  flatten(config, '');
+
+  if (json) {
+    console.log(JSON.stringify({ config, sources: Object.fromEntries(entries.map(entry => [entry.key, entry.source])) }, null, 2));
+    return;
+  }
+
+  for (const { key, value, source } of entries) {
+    console.log(`${chalk.cyan(key)} = ${JSON.stringify(value)} ${chalk.gray(`(${source})`)}`);
   }
 }
 
-// Run the main function
-main().catch(error => {
-  console.error(chalk.red('Unexpected error:'), error);
+function handleFatalError(error) {
+  if (error.code === 'INVALID_CONFIG') {
+    console.error(chalk.red(error.message));
+  } else if (error.code === 'STRICT_CHECK_FAILED' || error.code === 'BATCH_FAILED') {
+    // Already listed by the spinner or the batch summary
+  } else {
+    console.error(chalk.red('Unexpected error:'), error);
+  }
   process.exit(1);
-});
+}
+
+program.parse(process.argv);
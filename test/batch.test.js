@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getBatchOutputPath, assertNoCollisions } = require('../lib/batch');
+
+const config = { output: { format: 'pdf' }, batch: {} };
+
+test('a document format from front matter picks the output extension', () => {
+  assert.strictEqual(getBatchOutputPath('docs/a.md', { pattern: 'docs/*.md', config }), 'docs/a.pdf');
+  assert.strictEqual(getBatchOutputPath('docs/a.md', { pattern: 'docs/*.md', config, format: 'html' }), 'docs/a.html');
+});
+
+test('collisions are checked with each document\'s own format', () => {
+  const documents = [
+    { input: 'a.md', output: 'out/doc.pdf', format: null },
+    { input: 'b.md', output: 'out/doc.html', format: 'html' }
+  ];
+  // With "both", a.md writes out/doc.html as well
+  assert.throws(() => assertNoCollisions(documents, 'both'), { code: 'OUTPUT_COLLISION' });
+  assert.doesNotThrow(() => assertNoCollisions([{ ...documents[0], format: 'pdf' }, documents[1]], 'both'));
+});
+
+test('an output that lands on an input file is a collision', () => {
+  const documents = [
+    { input: 'a.md', output: 'a.md', format: 'pdf' },
+    { input: 'b.md', output: 'a.pdf', format: 'html' }
+  ];
+  assert.throws(() => assertNoCollisions(documents, 'pdf'), (error) => {
+    assert.strictEqual(error.code, 'OUTPUT_COLLISION');
+    assert.deepStrictEqual(error.collisions, ['a.md would be written over the source file a.md']);
+    return true;
+  });
+  assert.throws(
+    () => assertNoCollisions([{ input: 'a.md', output: 'b.md' }, { input: 'b.md', output: 'b.pdf' }], 'pdf'),
+    { code: 'OUTPUT_COLLISION' }
+  );
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBookManifest, assembleBook } = require('../lib/book');
+const { renderDocument } = require('../lib/converter');
+
+function writeBook(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-book-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return path.join(dir, 'SUMMARY.md');
+}
+
+test('the SUMMARY.md heading names the book', (t) => {
+  const manifest = writeBook(t, {
+    'SUMMARY.md': '# Team Handbook\n\n- [Intro](intro.md)\n',
+    'intro.md': '# Introduction\n'
+  });
+  assert.strictEqual(assembleBook(loadBookManifest(manifest)).title, 'Team Handbook');
+});
+
+test('a "Summary" heading falls back to the first chapter\'s H1', (t) => {
+  const manifest = writeBook(t, {
+    'SUMMARY.md': '# Summary\n\n- [Intro](intro.md)\n- [Setup](setup.md)\n',
+    'intro.md': 'Preface text.\n\n## Scope\n\n# Introduction\n',
+    'setup.md': '# Setup\n'
+  });
+  assert.strictEqual(loadBookManifest(manifest).title, '');
+  assert.strictEqual(assembleBook(loadBookManifest(manifest)).title, 'Introduction');
+});
+
+test('a "Table of Contents" heading falls back to the first chapter\'s front matter title', (t) => {
+  const manifest = writeBook(t, {
+    'SUMMARY.md': '# Table of Contents\n\n- [Intro](intro.md)\n',
+    'intro.md': '---\ntitle: Operations Guide\n---\n# Introduction\n'
+  });
+  assert.strictEqual(assembleBook(loadBookManifest(manifest)).title, 'Operations Guide');
+});
+
+test('chapter markers do not share ids with headings', (t) => {
+  const manifest = writeBook(t, {
+    'SUMMARY.md': '# Handbook\n\n- [Preface](preface.md)\n- [Chapter 1](ch1.md)\n',
+    'preface.md': '# Preface\n\nSee [the first chapter](ch1.md).\n',
+    'ch1.md': '# Chapter 1\n'
+  });
+  const { html } = renderDocument({ book: manifest, config: { toc: { enabled: true } } });
+
+  const ids = Array.from(html.matchAll(/\sid="([^"]*)"/g), match => match[1]);
+  assert.deepStrictEqual(ids.filter(id => id === 'chapter-1'), ['chapter-1']);
+  assert.match(html, /<h1[^>]* id="chapter-1"/);
+  assert.match(html, /<a href="#md2pdf-chapter-2">the first chapter<\/a>/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../lib/config');
+
+test('a malformed config file fails with INVALID_CONFIG and its path', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const configPath = path.join(dir, 'md2pdf.config.json');
+  fs.writeFileSync(configPath, '{ "page": { "mode": "paginated", } }');
+
+  assert.throws(() => new ConfigManager().loadJSON(configPath), (error) => {
+    assert.strictEqual(error.code, 'INVALID_CONFIG');
+    assert.ok(error.message.includes(configPath));
+    return true;
+  });
+});
+
+test('unknown themes are reported through the logger', () => {
+  const warnings = [];
+  const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+
+  new ConfigManager(logger).createConfig({ theme: { name: 'no-such-theme' } });
+  assert.deepStrictEqual(warnings, ["Warning: Theme 'no-such-theme' not found. Using default theme."]);
+});
+
+test('a theme that extends another keeps its own name', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-theme-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const themePath = path.join(dir, 'brand.json');
+  fs.writeFileSync(themePath, JSON.stringify({ extends: 'github', colors: { primary: '#123456' } }));
+
+  const theme = new ConfigManager().resolveTheme(themePath);
+  assert.strictEqual(theme.name, 'brand');
+  assert.strictEqual(theme.colors.primary, '#123456');
+});
+
+test('a theme that replaces a built-in can extend the built-in', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-themes-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'github.json'), JSON.stringify({ extends: 'github', colors: { primary: '#123456' } }));
+
+  const configManager = new ConfigManager();
+  const builtIn = configManager.resolveTheme('github');
+  configManager.loadThemeDirectory(dir);
+
+  const theme = configManager.resolveTheme('github');
+  assert.strictEqual(theme.name, 'github');
+  assert.strictEqual(theme.colors.primary, '#123456');
+  assert.strictEqual(theme.colors.secondary, builtIn.colors.secondary);
+  assert.ok(configManager.usedThemeFiles.has(path.join(dir, 'github.json')));
+});
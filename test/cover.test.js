@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../lib/config');
+const { prepareDocument, renderHtml } = require('../lib/converter');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-cover-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('cover files in front matter are relative to the document', (t) => {
+  const dir = tempDir(t);
+  fs.mkdirSync(path.join(dir, 'assets'));
+  fs.writeFileSync(path.join(dir, 'assets', 'cover.html'), '<section class="custom-cover">{{title}}</section>');
+  fs.writeFileSync(path.join(dir, 'assets', 'logo.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+  const input = path.join(dir, 'doc.md');
+  fs.writeFileSync(input, '---\ncoverPage:\n  enabled: true\n  template: assets/cover.html\n  logo: assets/logo.svg\n---\n# Hello\n');
+
+  const { config, markdown } = prepareDocument(fs.readFileSync(input, 'utf8'), {}, input);
+  assert.strictEqual(config.coverPage.template, path.join(dir, 'assets', 'cover.html'));
+  assert.strictEqual(config.coverPage.logo, path.join(dir, 'assets', 'logo.svg'));
+
+  const { html } = renderHtml(markdown, config, { basePath: dir });
+  assert.match(html, /<section class="custom-cover">/);
+});
+
+test('cover files in a config file are relative to that file', (t) => {
+  const dir = tempDir(t);
+  const configPath = path.join(dir, 'brand.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    coverPage: { enabled: true, template: 'banner', logo: 'logo.png' }
+  }));
+
+  const config = new ConfigManager().loadConfig({ config: configPath });
+  assert.strictEqual(config.coverPage.logo, path.join(dir, 'logo.png'));
+  assert.strictEqual(config.coverPage.template, 'banner');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { frontMatterToConfig } = require('../lib/front-matter');
+
+const SECTIONS = ['document', 'page', 'toc', 'styles', 'strict'];
+
+test('frontMatterToConfig copies arrays of known keys unchanged', () => {
+  const config = frontMatterToConfig({ styles: ['extra.css', 'print.css'] }, SECTIONS);
+  assert.deepStrictEqual(config.styles, ['extra.css', 'print.css']);
+});
+
+test('frontMatterToConfig copies scalars of known keys unchanged', () => {
+  const config = frontMatterToConfig({ strict: true }, SECTIONS);
+  assert.strictEqual(config.strict, true);
+});
+
+test('frontMatterToConfig deep-merges objects over shorthand fields', () => {
+  const config = frontMatterToConfig({
+    title: 'Notes',
+    document: { author: 'Jane' },
+    paginated: true,
+    page: { margins: { top: '10mm' } }
+  }, SECTIONS);
+
+  assert.deepStrictEqual(config.document, { title: 'Notes', author: 'Jane' });
+  assert.deepStrictEqual(config.page, { mode: 'paginated', margins: { top: '10mm' } });
+});
+
+test('frontMatterToConfig ignores unknown keys', () => {
+  assert.deepStrictEqual(frontMatterToConfig({ draft: true }, SECTIONS), {});
+});
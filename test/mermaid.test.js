@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MermaidRenderer = require('../lib/mermaid');
+
+test('parseDiagramId reads and sanitizes the id from a fence', () => {
+  assert.strictEqual(MermaidRenderer.parseDiagramId('mermaid id=login-flow'), 'login-flow');
+  assert.strictEqual(MermaidRenderer.parseDiagramId('mermaid id="sign up/flow"'), 'sign-up-flow');
+});
+
+test('parseDiagramId returns null without an id', () => {
+  assert.strictEqual(MermaidRenderer.parseDiagramId('mermaid'), null);
+  assert.strictEqual(MermaidRenderer.parseDiagramId('mermaid id=""'), null);
+});
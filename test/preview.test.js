@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PreviewServer = require('../lib/preview');
+
+test('render returns the files read and the problems found', () => {
+  const preview = new PreviewServer({ markdown: '# Title\n\n![logo](missing.png)\n\n[gone](#nope)\n' });
+  const { files, problems } = preview.render({});
+
+  assert.ok(Array.isArray(files));
+  assert.deepStrictEqual(problems.map(problem => problem.line), [3, 5]);
+  assert.match(preview.html, /<h1[^>]*>Title<\/h1>/);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { prepareDocument, renderHtml } = require('../lib/converter');
+
+test('stylesheets listed in front matter are applied relative to the document', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2pdf-styles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(dir, 'css'));
+  fs.writeFileSync(path.join(dir, 'css', 'extra.css'), '.front-matter-rule { color: rebeccapurple; }');
+  const input = path.join(dir, 'doc.md');
+  fs.writeFileSync(input, '---\nstyles:\n  - css/extra.css\n---\n# Hello\n');
+
+  const { config, markdown } = prepareDocument(fs.readFileSync(input, 'utf8'), {}, input);
+  assert.deepStrictEqual(config.styles, [path.join(dir, 'css', 'extra.css')]);
+
+  const { html, files } = renderHtml(markdown, config, { basePath: dir });
+  assert.match(html, /\.front-matter-rule \{ color: rebeccapurple; \}/);
+  assert.ok(files.includes(path.join(dir, 'css', 'extra.css')));
+});
+
+test('missing stylesheets are reported through the logger', () => {
+  const warnings = [];
+  const logger = { log() {}, warn: message => warnings.push(message), error() {} };
+  const { config, markdown } = prepareDocument('# Hello\n', { styles: ['does-not-exist.css'] });
+
+  renderHtml(markdown, config, { logger });
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /Stylesheet not found: .*does-not-exist\.css/);
+});
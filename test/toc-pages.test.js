@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convert } = require('../lib/converter');
+const { launchBrowser } = require('../lib/browser');
+const { getNamedDestinations } = require('../lib/pdf');
+
+const markdown = `# First
+
+Opening chapter.
+
+# Second
+
+Middle chapter.
+
+## Detail
+
+More text.
+
+# Third
+
+Closing chapter.
+`;
+
+test('TOC page numbers match the pages headings are printed on', async (t) => {
+  let browser;
+  try {
+    browser = await launchBrowser({ log() {} });
+  } catch (error) {
+    if (error.code !== 'BROWSER_LAUNCH_FAILED') throw error;
+    t.skip('no browser available');
+    return;
+  }
+  t.after(() => browser.close());
+
+  // Read the numbers from the page just before convert() closes it
+  let tocNumbers;
+  const recordingBrowser = {
+    newPage: async () => {
+      const page = await browser.newPage();
+      const close = page.close.bind(page);
+      page.close = async () => {
+        tocNumbers = await page.evaluate(() => Object.fromEntries(
+          Array.from(document.querySelectorAll('.toc a[href^="#"]')).map(link => [
+            decodeURIComponent(link.getAttribute('href').slice(1)),
+            Number(link.querySelector('.page-number').textContent)
+          ])
+        ));
+        return close();
+      };
+      return page;
+    }
+  };
+
+  // The cover, the TOC's own page and a break before every H1 all move
+  // headings away from where the unpaginated layout would put them
+  const pdf = await convert({
+    markdown,
+    browser: recordingBrowser,
+    config: {
+      page: { mode: 'paginated', breakBefore: ['h1'] },
+      coverPage: { enabled: true },
+      document: { title: 'Numbering' },
+      toc: { enabled: true, pageBreak: true }
+    }
+  });
+
+  const { destinations } = await getNamedDestinations(pdf);
+  const ids = Object.keys(tocNumbers);
+  assert.ok(ids.length >= 4);
+  for (const id of ids) {
+    assert.ok(destinations.has(id), `no destination for ${id}`);
+    assert.strictEqual(tocNumbers[id], destinations.get(id).pageIndex + 1, `page number of ${id}`);
+  }
+  assert.ok(tocNumbers.first >= 3, 'the first chapter follows the cover and the TOC');
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TocGenerator = require('../lib/toc');
+
+test('slugify keeps repeated headings apart', () => {
+  const toc = new TocGenerator({ toc: {} });
+  assert.deepStrictEqual(['Foo', 'Foo', 'Foo'].map(text => toc.slugify(text)), ['foo', 'foo-1', 'foo-2']);
+});
+
+test('slugify never reuses a slug taken by a numbered heading', () => {
+  const toc = new TocGenerator({ toc: {} });
+  assert.deepStrictEqual(['Foo', 'Foo', 'Foo 1'].map(text => toc.slugify(text)), ['foo', 'foo-1', 'foo-1-1']);
+
+  const reversed = new TocGenerator({ toc: {} });
+  assert.deepStrictEqual(['Foo 1', 'Foo', 'Foo'].map(text => reversed.slugify(text)), ['foo-1', 'foo', 'foo-2']);
+});